@@ -1,362 +1,984 @@
 import path from "node:path"
+import {
+  ensureConfigFile,
+  ensureStateFile,
+  getConfigLayers,
+  getConfigPaths,
+  getRecordTier,
+  getStatePath,
+  isOwnStateWrite,
+  loadConfig,
+  loadState,
+  modelToString,
+  parseModel,
+  pruneState,
+  safeLog,
+  saveState,
+  updateState,
+} from "./credit-switcher/config.js"
+import { appendHistory, getHistoryPath } from "./credit-switcher/history.js"
+import { sendNotifications } from "./credit-switcher/notify.js"
+import { QUOTA_ADAPTERS, pollQuota } from "./credit-switcher/quota.js"
+import { getNextReset, isWindowOpen } from "./credit-switcher/schedule.js"
+import { readText, watchDirectory } from "./credit-switcher/runtime.js"
+import { formatProblem } from "./credit-switcher/validate.js"
 
 const DAY_MS = 24 * 60 * 60 * 1000
-
-const DEFAULT_CONFIG = {
-  enabled: true,
-  primaryModel: "azure-openai/<deployment-name>",
-  fallbackModel: "llama.cpp/qwen3-coder:a3b",
-  licensing: {
-    requireProviders: ["azure-openai", "github-copilot"],
+// Editors write a file in several steps; wait for them to settle before reloading.
+const CONFIG_RELOAD_DELAY_MS = 250
+// OpenCode may still be starting when the setup check asks for its providers.
+const SETUP_CHECK_TIMEOUT_MS = 10 * 1000
+// message.updated repeats only for a session's latest messages.
+const COUNTED_MESSAGES_PER_SESSION = 50
+
+const CONTROL_COMMANDS = {
+  "credit-status": {
+    description: "Show credit switcher status for this session",
+    template: "Call the credit_switcher_status tool and show its output as is.",
+  },
+  "credit-fallback": {
+    description: "Move this session to the next fallback tier now",
+    template: "Call the credit_switcher_fallback tool and show its output as is.",
   },
-  restore: {
-    enabled: true,
-    intervalHours: 24,
+  "credit-restore": {
+    description: "Move this session back to its original model now",
+    template: "Call the credit_switcher_restore tool and show its output as is.",
   },
-  fallback: {
-    onStatus: [402, 429],
-    onErrorCodes: ["CREDITS_EXHAUSTED", "ACCOUNT_LIMIT_REACHED", "QUOTA_EXCEEDED"],
-    onMessageMatches: ["credit", "quota", "insufficient", "exceeded", "payment", "limit"],
+  "credit-pin": {
+    description: "Keep this session on its current model",
+    template: "Call the credit_switcher_pin tool and show its output as is.",
   },
-  notifications: {
-    toastOnFallback: true,
-    toastOnRestore: true,
-    confirmOnFallback: false,
+  "credit-window": {
+    description: "Turn scheduled routing windows off or back on for this session",
+    template: "Call the credit_switcher_window tool and show its output as is.",
+  },
+  "credit-reset": {
+    description: "Clear credit switcher state and retry guards for this session",
+    template: "Call the credit_switcher_reset tool and show its output as is.",
   },
 }
 
-const SERVICE_NAME = "credit-switcher"
-
 // Plugin entrypoint: wires configuration, state, and event handlers.
 export const CreditSwitcher = async ({ client, directory, worktree }) => {
   const state = {
+    directory,
     config: null,
     configPath: null,
     statePath: null,
     stateData: null,
-    // Prevents retry loops per session.
-    attemptedSessions: new Set(),
+    // Append-only audit log next to the state file; null when disabled or in dry run.
+    historyPath: null,
+    // Pending retries of fallback prompts that failed to send, per session.
+    promptRetries: new Map(),
     // Interval timer for daily restore checks.
     restoreTimer: null,
+    // Fires a restore check at the next provider reset from restore.resets.
+    resetTimer: null,
+    // Polls the quota endpoints in quota.providers.
+    quotaTimer: null,
+    // Checks every minute which routing window is open; undefined until the first check.
+    windowTimer: null,
+    openWindow: undefined,
+    // Config layers, their text as last applied, and the watchers that reload them.
+    configLayers: [],
+    configText: null,
+    configWatchers: [],
+    reloadTimer: null,
+    // Watches the state file for restores requested from the CLI.
+    stateWatcher: null,
+    stateWatchTimer: null,
+    // Throwaway sessions created by restore probes; their errors are not ours to handle.
+    probeSessions: new Set(),
+    // Rate-limit failures and pending same-model retries per session.
+    throttledSessions: new Map(),
+    // Assistant messages already added to usage per session; message.updated repeats.
+    countedMessages: new Map(),
+    // Cached fallback health results keyed by "provider/model".
+    healthCache: new Map(),
+    // Sessions whose older tool output is trimmed to fit a smaller model.
+    trimSessions: new Map(),
+    // Log decisions without acting on them.
+    dryRun: false,
   }
 
-  // Prefer explicit env var, then repo-local, then global config.
+  // Global, project and directory files merge in that order, then env overrides.
   const configPaths = getConfigPaths(directory, worktree)
   await ensureConfigFile(configPaths, client)
-  const initial = await loadConfig(configPaths, client)
+  state.configLayers = getConfigLayers(directory, worktree)
+  const initial = await loadConfig(state.configLayers, client)
   state.config = initial.config
   state.configPath = initial.path
+  state.configText = initial.text
+  await reportConfigProblems({ client, loaded: initial })
+  // Not awaited, so a slow provider lookup never holds up plugin startup.
+  void checkModelSetup({ state, client })
+  state.dryRun = Boolean(state.config?.dryRun)
 
   // State lives alongside the config so multi-repo installs stay isolated.
-  state.statePath = getStatePath(state.configPath, directory, worktree)
-  await ensureStateFile(state.statePath, client)
-  state.stateData = await loadState(state.statePath, client)
-
-  if (state.config?.restore?.enabled) {
-    scheduleRestoreCheck({ state, client })
+  // Dry runs read it but drop the path so nothing is ever written.
+  const statePath = getStatePath(state.configPath, directory, worktree)
+  if (!state.dryRun) await ensureStateFile(statePath, client)
+  state.stateData = await loadState(statePath, client)
+  state.statePath = state.dryRun ? null : statePath
+  state.historyPath = state.config?.history?.enabled ? getHistoryPath(state.statePath) : null
+
+  if (state.dryRun) {
+    await safeLog(client, "info", "Dry run: decisions are logged but not acted on", {
+      path: state.configPath,
+    })
+  } else {
+    await pruneSessions({ state, client })
+    if (state.config?.restore?.enabled) scheduleRestoreCheck({ state, client })
+    scheduleQuotaPolls({ state, client })
+    scheduleRoutingWindows({ state, client })
+    watchState({ state, client })
   }
 
   if (!state.configPath) {
     await safeLog(client, "warn", "No config found; plugin disabled", { paths: configPaths })
+  } else {
+    watchConfig({ state, client })
   }
 
   return {
-    event: async ({ event }) => {
-      // Only respond to provider errors for a session.
-      if (!event || event.type !== "session.error") return
+    // In-session controls; each tool acts on the session that calls it.
+    tool: createControlTools({ state, client }),
+
+    // Slash commands that ask the model to run the control tools.
+    config: async (opencodeConfig) => {
+      if (!opencodeConfig) return
+      opencodeConfig.command = opencodeConfig.command || {}
+      for (const [name, command] of Object.entries(CONTROL_COMMANDS)) {
+        if (!opencodeConfig.command[name]) opencodeConfig.command[name] = command
+      }
+    },
 
-      // Plugin can be globally disabled via config.
+    // Moves prompts to an open routing window's model, and redirects them away from
+    // providers whose breaker is open or budget or quota is spent.
+    "chat.message": async (input, output) => {
       if (!state.config || !state.config.enabled) return
+      const { breaker, budgets, quota, routing } = state.config
+      if (!breaker?.enabled && !budgets?.enabled && !quota?.enabled && !routing?.windows?.length) return
+
+      const sessionId = input?.sessionID
+      const message = output?.message
+      if (!sessionId || !message || state.probeSessions.has(sessionId)) return
+
+      const model = toModel(message.model || input.model)
+      if (!model) return
+
+      const target =
+        (await applyRoutingWindow({ state, client, sessionId, model })) ||
+        (await routeAroundBreakers({
+          state,
+          client,
+          sessionId,
+          model,
+          agent: input.agent || message.agent,
+        }))
+      if (target && state.dryRun) {
+        await safeLog(client, "info", "Dry run: would redirect prompt", { sessionId, from: model, to: target })
+      } else if (target) {
+        message.model = { providerID: target.providerId, modelID: target.modelId }
+      }
+    },
 
-      const config = state.config
+    // Drops older tool output for sessions marked by the "trim" context strategy.
+    "experimental.chat.messages.transform": async (_input, output) => {
+      const messages = output?.messages
+      if (!Array.isArray(messages) || !messages.length || !state.trimSessions.size) return
 
-      // Only act on credit exhaustion errors.
-      if (!isCreditExhausted(event, config)) return
+      const sessionId = messages[0]?.info?.sessionID
+      const trim = state.trimSessions.get(sessionId)
+      if (!trim) return
 
-      const sessionId = extractSessionId(event)
-      if (!sessionId) {
-        await safeLog(client, "warn", "Credit error without session id", { event })
+      // Only trim while the session is still talking to the small model.
+      const lastUser = [...messages].reverse().find((entry) => entry?.info?.role === "user")
+      const model = toModel(lastUser?.info?.model)
+      if (model && !modelsEqual(model, trim.model)) {
+        state.trimSessions.delete(sessionId)
         return
       }
 
-      if (state.attemptedSessions.has(sessionId)) return
+      trimToolOutputs(messages, trim.budget, trim.charsPerToken)
+    },
 
-      // Enforce licensing requirements (e.g., both AI Foundry + Copilot).
-      if (!(await hasRequiredProviders(client, config))) {
-        await safeLog(client, "warn", "Required providers not configured; skipping fallback", {
-          required: config.licensing?.requireProviders || [],
-        })
-        return
-      }
+    event: async ({ event }) => {
+      if (!event) return
 
-      // Parse configured models into provider/model IDs.
-      const primaryModel = parseModel(config.primaryModel)
-      const fallbackModel = parseModel(config.fallbackModel)
+      // Plugin can be globally disabled via config.
+      if (!state.config || !state.config.enabled) return
 
-      if (!fallbackModel) {
-        await safeLog(client, "error", "Invalid fallbackModel in config", {
-          value: config.fallbackModel,
-          path: state.configPath,
-        })
+      // A successful reply from a tripped provider closes its breaker.
+      if (event.type === "message.updated") {
+        await trackUsage({ state, client, event })
+        await closeBreakerOnSuccess({ state, client, event })
         return
       }
 
-      // Only fallback when the session is currently on the primary provider.
-      const sessionModel = await getSessionModel(client, sessionId)
-      if (primaryModel && sessionModel && sessionModel.providerId) {
-        if (sessionModel.providerId !== primaryModel.providerId) return
-      }
-
-      // We replay the last user prompt to avoid dropping the request.
-      const lastUserMessage = await getLastUserMessage(client, sessionId)
-      if (!lastUserMessage) {
-        await safeLog(client, "warn", "No user message to retry", { sessionId })
+      // Deleted sessions leave nothing behind in state.
+      if (event.type === "session.deleted") {
+        await handleSessionDeleted({ state, client, event })
         return
       }
 
-      // Optionally ask the user before retrying on fallback.
-      const shouldRetry = await confirmFallback({
-        client,
-        config,
-        sessionId,
-        fallbackModel,
-      })
+      // Only respond to provider errors for a session.
+      if (event.type !== "session.error") return
 
-      if (!shouldRetry) {
-        state.attemptedSessions.add(sessionId)
-        await safeLog(client, "info", "User declined fallback retry", { sessionId })
-        return
-      }
+      await handleSessionError({ state, client, event })
+    },
+  }
+}
 
-      state.attemptedSessions.add(sessionId)
+// Walks a session.error through detection and every guard. Each exit is logged as
+// a decision; in dry-run mode the decision is reported instead of acted on.
+async function handleSessionError({ state, client, event }) {
+  const config = state.config
+  const sessionId = extractSessionId(event)
+  const decision = { sessionId, dryRun: state.dryRun }
+  const decide = (outcome, details = {}) =>
+    reportDecision({ state, client, decision, outcome, details })
+
+  if (sessionId && state.probeSessions.has(sessionId)) {
+    return decide("ignored", { guard: "probe-session" })
+  }
 
-      await safeLog(client, "info", "Retrying with fallback model", {
-        sessionId,
-        fallback: fallbackModel,
+  // Only act on credit exhaustion and rate-limit errors; rules can be per provider.
+  const sessionModel = sessionId ? await getSessionModel(client, sessionId) : null
+  const detection = classifyError(event, config, sessionModel?.providerId)
+  Object.assign(decision, {
+    ...detection.signals,
+    provider: sessionModel?.providerId || null,
+    kind: detection.kind,
+    rule: detection.rule,
+  })
+  if (detection.excludedBy) {
+    return decide("ignored", { guard: "excluded", excludedBy: detection.excludedBy })
+  }
+  if (!detection.kind) return decide("ignored", { guard: "no-rule-matched" })
+
+  const { kind } = detection
+  await safeLog(client, "info", "Detection rule matched", {
+    sessionId,
+    kind,
+    rule: detection.rule,
+    provider: sessionModel?.providerId,
+  })
+
+  if (!sessionId) {
+    await safeLog(client, "warn", "Credit error without session id", { event })
+    return decide("skipped", { guard: "no-session-id" })
+  }
+
+  // Rate limits retry on the same model; only persistent ones fall through to fallback.
+  if (kind === "throttled") {
+    const throttle = await handleThrottle({ state, client, config, sessionId, event })
+    if (!throttle.escalate) {
+      return decide(state.dryRun ? "would-retry-same-model" : "retry-same-model", {
+        failures: throttle.failures,
+        delayMs: throttle.delayMs,
       })
+    }
+    decision.escalatedAfter = throttle.failures
+  } else {
+    clearThrottle(state, sessionId)
+  }
 
-      if (state.stateData) {
-        // Persist the original model and exhaustion time for restore checks.
-        const now = Date.now()
-        state.stateData.sessions[sessionId] = {
-          exhaustedAt: now,
-          lastFallbackAt: now,
-          originalModel: modelToString(sessionModel || primaryModel),
-          fallbackModel: modelToString(fallbackModel),
-        }
-        await saveState(state.statePath, state.stateData, client)
-      }
+  // Sessions pinned with the pin tool stay on their model.
+  if (state.stateData?.sessions?.[sessionId]?.pinned) {
+    return decide("skipped", { guard: "pinned" })
+  }
 
-      await client.session.prompt({
-        path: { id: sessionId },
+  // Enforce licensing requirements (e.g., both AI Foundry + Copilot).
+  if (!(await hasRequiredProviders(client, config))) {
+    await safeLog(client, "warn", "Required providers not configured; skipping fallback", {
+      required: config.licensing?.requireProviders || [],
+    })
+    return decide("skipped", { guard: "licensing" })
+  }
+
+  // We replay the last user prompt to avoid dropping the request.
+  const lastUserMessage = await getLastUserMessage(client, sessionId)
+  if (!lastUserMessage) {
+    await safeLog(client, "warn", "No user message to retry", { sessionId })
+    return decide("skipped", { guard: "no-user-message" })
+  }
+
+  // Pick the tiers for this session's model and agent.
+  const record = state.stateData?.sessions?.[sessionId]
+  const agent = getMessageAgent(lastUserMessage)
+  const { chain, rule } = resolveSessionChain({ config, sessionModel, agent, record })
+  const invalidIndex = chain.findIndex((model) => !model)
+  if (chain.length < 2 || invalidIndex !== -1) {
+    await safeLog(client, "error", "Invalid fallback chain in config", {
+      value: rule ? rule.fallback : getFallbackChainValues(config),
+      invalidIndex,
+      path: state.configPath,
+    })
+    return decide("skipped", { guard: "invalid-chain" })
+  }
+
+  // Only fallback when the session is currently on one of the configured tiers.
+  const currentTier = resolveSessionTier(chain, sessionModel, record)
+  if (currentTier === -1) {
+    return decide("skipped", { guard: "provider-mismatch", chain: chain.map(modelToString) })
+  }
+  decision.tier = currentTier
+
+  // Credit exhaustion trips the breaker so other sessions avoid this provider.
+  // The error may say when the provider resets; restore.resets can use that.
+  const resetAt = kind === "exhausted" ? extractResetAt(event, Date.now()) : null
+  if (kind === "exhausted" && !state.dryRun) {
+    const exhaustedModel = sessionModel || chain[currentTier]
+    const provider = exhaustedModel.providerId
+    await recordHistory({
+      state,
+      client,
+      type: "exhausted",
+      sessionId,
+      model: modelToString(exhaustedModel),
+      tier: currentTier,
+      rule: detection.rule,
+      status: decision.status ?? null,
+      code: decision.code ?? null,
+      resetAt,
+    })
+    await tripBreaker({ state, client, provider, sessionId, resetAt })
+  }
+
+  const firstTier = findAvailableTier(state, chain, currentTier + 1)
+  if (firstTier === -1) {
+    await safeLog(client, "warn", "Fallback chain exhausted; no lower tier left", {
+      sessionId,
+      tier: currentTier,
+    })
+    notifySinks({
+      state,
+      client,
+      event: "failure",
+      message: "No fallback tier is left",
+      sessionId,
+      from: modelToString(sessionModel || chain[currentTier]),
+      tier: currentTier,
+      reason: "chain-exhausted",
+    })
+    return decide("skipped", { guard: "chain-exhausted" })
+  }
+
+  // Each tier is tried once until a restore, within maxAttempts and the cooldown.
+  const blocked = checkRetryPolicy(config, state.stateData?.sessions?.[sessionId], firstTier, Date.now())
+  if (blocked) return decide("skipped", blocked)
+
+  // Skip tiers whose endpoint is down; the guard stays unset so a later error can retry.
+  const { tier: nextTier, unhealthy } = await selectHealthyTier({
+    state,
+    client,
+    chain,
+    start: firstTier,
+  })
+  if (nextTier === -1) {
+    if (!state.dryRun) await notifyUnhealthyFallback({ state, client, sessionId, unhealthy })
+    return decide("skipped", { guard: "no-healthy-fallback", unhealthy })
+  }
+
+  const fallbackModel = chain[nextTier]
+  Object.assign(decision, {
+    fallback: modelToString(fallbackModel),
+    nextTier,
+    mapping: rule?.index ?? null,
+  })
+
+  if (state.dryRun) {
+    // Later events for the same session see the guard as if the retry had happened;
+    // dry runs never write it to the state file.
+    noteRetry(state, sessionId, nextTier, { attempt: true })
+    return decide("would-fallback", { unhealthy })
+  }
+
+  // Optionally ask the user before retrying on fallback.
+  const shouldRetry = await confirmFallback({
+    client,
+    config,
+    sessionId,
+    fallbackModel,
+  })
+
+  if (!shouldRetry) {
+    noteRetry(state, sessionId, nextTier)
+    await safeLog(client, "info", "User declined fallback retry", { sessionId })
+    await recordHistory({
+      state,
+      client,
+      type: "declined",
+      sessionId,
+      from: modelToString(sessionModel || chain[currentTier]),
+      to: modelToString(fallbackModel),
+      tier: nextTier,
+      rule: detection.rule,
+    })
+    return decide("skipped", { guard: "declined" })
+  }
+
+  noteRetry(state, sessionId, nextTier, { attempt: true })
+
+  await safeLog(client, "info", "Retrying with fallback model", {
+    sessionId,
+    fallback: fallbackModel,
+    tier: nextTier,
+  })
+
+  if (state.stateData) {
+    // Persist the original model, tier, and exhaustion time for restore checks.
+    await recordSessionFallback({
+      state,
+      client,
+      sessionId,
+      chain,
+      sessionModel,
+      currentTier,
+      tier: nextTier,
+      resetAt,
+      extra: {
+        detectedBy: detection.rule,
+        ...(rule ? { mapping: describeRule(rule, agent) } : {}),
+      },
+    })
+    await saveState(state.statePath, state.stateData, client)
+  }
+
+  await sendFallbackPrompt({ state, client, sessionId, userMessage: lastUserMessage, model: fallbackModel })
+
+  if (config.notifications?.toastOnFallback) {
+    try {
+      await client.tui.showToast({
         body: {
-          model: {
-            providerID: fallbackModel.providerId,
-            modelID: fallbackModel.modelId,
-          },
-          parts: lastUserMessage.parts,
+          message: `Credits exhausted. Switched to ${modelToString(fallbackModel)}.`,
+          variant: "warning",
         },
       })
+    } catch (error) {
+      await safeLog(client, "debug", "Toast failed", { error: String(error) })
+    }
+  }
 
-      if (config.notifications?.toastOnFallback) {
-        try {
-          await client.tui.showToast({
-            body: {
-              message: "Credits exhausted. Switched to fallback model.",
-              variant: "warning",
-            },
-          })
-        } catch (error) {
-          await safeLog(client, "debug", "Toast failed", { error: String(error) })
-        }
-      }
+  return decide("fallback")
+}
+
+// Dry runs log every decision at info; otherwise decisions are debug noise.
+async function reportDecision({ state, client, decision, outcome, details }) {
+  const entry = { ...decision, outcome, ...details }
+  await safeLog(client, state.dryRun ? "info" : "debug", "Fallback decision", entry)
+  return entry
+}
+
+// Tools take no arguments; OpenCode passes the calling session in the context.
+function createControlTools({ state, client }) {
+  const control = (description, run) => ({
+    description,
+    args: {},
+    execute: async (_args, context) => {
+      const sessionId = context?.sessionID
+      if (!sessionId) return "No session in tool context."
+      if (!state.stateData) return "Credit switcher state is not loaded."
+      return run(sessionId)
     },
+  })
+
+  return {
+    credit_switcher_status: control("Show credit switcher status for the current session", (sessionId) =>
+      describeStatus({ state, client, sessionId })
+    ),
+    credit_switcher_fallback: control("Move the current session to the next fallback tier", (sessionId) =>
+      forceFallback({ state, client, sessionId })
+    ),
+    credit_switcher_restore: control("Move the current session back to its original model", (sessionId) =>
+      forceRestore({ state, client, sessionId })
+    ),
+    credit_switcher_pin: control("Keep the current session on its current model", (sessionId) =>
+      pinSession({ state, client, sessionId })
+    ),
+    credit_switcher_window: control(
+      "Turn scheduled routing windows off or back on for the current session",
+      (sessionId) => toggleRoutingWindows({ state, client, sessionId })
+    ),
+    credit_switcher_reset: control(
+      "Clear credit switcher state and retry guards for the current session",
+      (sessionId) => resetSession({ state, client, sessionId })
+    ),
   }
 }
 
-function getConfigPaths(directory, worktree) {
-  const paths = []
-  if (Bun.env.OPENCODE_CREDIT_SWITCHER_CONFIG) {
-    paths.push(Bun.env.OPENCODE_CREDIT_SWITCHER_CONFIG)
+async function describeStatus({ state, client, sessionId }) {
+  const record = state.stateData.sessions[sessionId]
+  const sessionModel = await getSessionModel(client, sessionId)
+  const lines = [
+    `Session: ${sessionId}`,
+    `Current model: ${modelToString(sessionModel) || "unknown"}`,
+    `Plugin: ${state.config?.enabled ? "enabled" : "disabled"}${state.dryRun ? " (dry run)" : ""}`,
+  ]
+
+  if (!record) {
+    lines.push("Fallback: none recorded")
+  } else {
+    const tier = getRecordTier(record)
+    lines.push(`Tier: ${tier}${record.chain ? ` of ${record.chain.join(" -> ")}` : ""}`)
+    lines.push(`Original model: ${record.originalModel || "unknown"}`)
+    if (tier > 0) {
+      lines.push(`On fallback since: ${formatTime(record.lastFallbackAt || record.exhaustedAt)}`)
+      const step = getRestoreStep(state.config, record, getRestoreIntervalMs(state.config))
+      if (step.resetAt !== null) {
+        lines.push(`${step.targetModel.providerId} resets: ${formatTime(step.resetAt)}`)
+      }
+    }
+    if (record.restoredAt) lines.push(`Restored at: ${formatTime(record.restoredAt)}`)
+    if (record.probeFailures) {
+      lines.push(`Failed probes: ${record.probeFailures}, next at ${formatTime(record.nextProbeAt)}`)
+    }
+    if (record.pinned) lines.push(`Pinned to: ${record.pinned}`)
+  }
+
+  const window = getOpenWindow(state.config, Date.now())
+  const routed = state.stateData.routing?.[sessionId]
+  if (routed?.optedOut) {
+    lines.push("Routing windows: off for this session")
+  } else if (routed?.window) {
+    lines.push(`Routing window: ${routed.window}, moved from ${routed.originalModel} to ${routed.model}`)
+  } else if (window) {
+    lines.push(`Routing window: ${window.name} is open (${window.model})`)
+  }
+
+  const retry = record?.retry
+  if (retry?.tier !== undefined) lines.push(`Retry guard: tier ${retry.tier} already attempted`)
+  const recent = getRecentAttempts(state.config, retry, Date.now())
+  if (recent.length) {
+    const { maxAttempts } = getRetryPolicy(state.config)
+    lines.push(`Fallbacks in the retry window: ${recent.length} of ${maxAttempts}`)
+  }
+  if (state.promptRetries.has(sessionId)) lines.push("Fallback prompt: retry pending")
+
+  const breakers = Object.entries(state.stateData.breakers || {})
+    .map(([provider]) => [provider, getBreakerStatus(state, provider)])
+    .filter(([, status]) => status !== "closed")
+  if (breakers.length) {
+    lines.push(`Breakers: ${breakers.map(([provider, status]) => `${provider} ${status}`).join(", ")}`)
+  }
+
+  for (const [provider, usage] of Object.entries(state.stateData.usage || {})) {
+    const ratio = getBudgetRatio(state.config?.budgets?.providers?.[provider], usage)
+    const share = ratio ? ` (${Math.round(ratio * 100)}% of budget)` : ""
+    lines.push(`Usage ${provider}: ${usage.tokens} tokens, $${usage.cost.toFixed(2)}${share}`)
   }
-  if (worktree) paths.push(`${worktree}/.opencode/credit-switcher.json`)
-  if (directory && directory !== worktree) {
-    paths.push(`${directory}/.opencode/credit-switcher.json`)
+
+  for (const provider of Object.keys(state.config?.quota?.providers || {})) {
+    const quota = getPolledQuota(state, provider)
+    if (!quota) continue
+    const limit = quota.limit !== null && quota.limit !== undefined ? ` of ${quota.limit}` : ""
+    const low = isQuotaLow(state, provider) ? ", routing around it" : ""
+    lines.push(`Quota ${provider}: ${quota.remaining}${limit} left at ${formatTime(quota.checkedAt)}${low}`)
   }
-  if (Bun.env.HOME) paths.push(`${Bun.env.HOME}/.config/opencode/credit-switcher.json`)
-  return paths
+
+  return lines.join("\n")
 }
 
-// State file is kept alongside config to avoid cross-project collisions.
-function getStatePath(configPath, directory, worktree) {
-  if (configPath) return path.join(path.dirname(configPath), "credit-switcher.state.json")
-  if (worktree) return path.join(worktree, ".opencode", "credit-switcher.state.json")
-  if (directory) return path.join(directory, ".opencode", "credit-switcher.state.json")
-  if (Bun.env.HOME) return path.join(Bun.env.HOME, ".config", "opencode", "credit-switcher.state.json")
-  return null
+async function forceFallback({ state, client, sessionId }) {
+  const sessionModel = await getSessionModel(client, sessionId)
+  const record = state.stateData.sessions[sessionId]
+  if (record?.pinned) return `Session is pinned to ${record.pinned}; reset it first.`
+
+  const { chain, rule } = resolveSessionChain({ config: state.config, sessionModel, record })
+  if (chain.length < 2 || chain.some((model) => !model)) return "Fallback chain in config is invalid."
+
+  const currentTier = resolveSessionTier(chain, sessionModel, record)
+  if (currentTier === -1) return `${modelToString(sessionModel)} is not part of the fallback chain.`
+
+  const tier = findAvailableTier(state, chain, currentTier + 1)
+  if (tier === -1) return "No lower tier is available."
+
+  if (!(await setSessionModel(client, sessionId, chain[tier]))) {
+    return `Failed to switch to ${modelToString(chain[tier])}.`
+  }
+
+  noteRetry(state, sessionId, tier)
+  await recordSessionFallback({
+    state,
+    client,
+    sessionId,
+    chain,
+    sessionModel,
+    currentTier,
+    tier,
+    extra: {
+      detectedBy: "manual",
+      ...(rule ? { mapping: describeRule(rule, null) } : {}),
+    },
+  })
+  await saveState(state.statePath, state.stateData, client)
+  await safeLog(client, "info", "Manual fallback", { sessionId, model: chain[tier], tier })
+  return `Switched to ${modelToString(chain[tier])} (tier ${tier}).`
 }
 
-async function loadConfig(paths, client) {
-  for (const path of paths) {
-    if (!path) continue
-    try {
-      const file = Bun.file(path)
-      if (!(await file.exists())) continue
-      const text = await file.text()
-      const raw = JSON.parse(text)
-      return { config: normalizeConfig(raw), path }
-    } catch (error) {
-      await safeLog(client, "error", "Failed to load config", { path, error: String(error) })
-      return { config: { enabled: false }, path }
-    }
+async function forceRestore({ state, client, sessionId }) {
+  const record = state.stateData.sessions[sessionId]
+  if (!record || getRecordTier(record) === 0) return "Session is not on a fallback model."
+
+  const originalModel = parseModel(record.originalModel || state.config.primaryModel)
+  if (!originalModel) return "Original model is unknown."
+  if (!(await setSessionModel(client, sessionId, originalModel))) {
+    return `Failed to switch back to ${modelToString(originalModel)}.`
+  }
+
+  const now = Date.now()
+  const from = record.fallbackModel
+  applyRestoreStep(record, 0, originalModel, now)
+  delete record.nextProbeAt
+  record.probeFailures = 0
+  await saveState(state.statePath, state.stateData, client)
+  await recordHistory({
+    state,
+    client,
+    type: "restore",
+    sessionId,
+    from,
+    to: modelToString(originalModel),
+    original: record.originalModel || null,
+    tier: 0,
+    trigger: "manual",
+    ok: true,
+  })
+  await safeLog(client, "info", "Manual restore", { sessionId, model: originalModel })
+  return `Switched back to ${modelToString(originalModel)}.`
+}
+
+async function pinSession({ state, client, sessionId }) {
+  const sessionModel = await getSessionModel(client, sessionId)
+  const model = modelToString(sessionModel)
+  if (!model) return "Current model is unknown; nothing to pin."
+
+  const record = state.stateData.sessions[sessionId]
+  if (record) {
+    record.pinned = model
+    record.pinnedAt = Date.now()
+  } else {
+    state.stateData.sessions[sessionId] = { tier: 0, pinned: model, pinnedAt: Date.now() }
   }
+  clearThrottle(state, sessionId)
+  await saveState(state.statePath, state.stateData, client)
+  return `Pinned to ${model}. The plugin will not switch this session until it is reset.`
+}
+
+async function resetSession({ state, client, sessionId }) {
+  delete state.stateData.sessions[sessionId]
+  delete state.stateData.routing?.[sessionId]
+  forgetSession(state, sessionId)
+  await saveState(state.statePath, state.stateData, client)
+  return "Cleared state and retry guards for this session."
+}
 
-  return { config: { enabled: false }, path: null }
+// Clears the in-memory guards and timers kept for a session alongside its state record.
+function forgetSession(state, sessionId) {
+  clearTimeout(state.promptRetries.get(sessionId))
+  state.promptRetries.delete(sessionId)
+  state.trimSessions.delete(sessionId)
+  state.countedMessages.delete(sessionId)
+  clearThrottle(state, sessionId)
 }
 
-async function ensureConfigFile(paths, client) {
-  let hasConfig = false
-  for (const path of paths) {
-    if (!path) continue
-    try {
-      const file = Bun.file(path)
-      if (await file.exists()) {
-        hasConfig = true
-        break
-      }
-    } catch {
-      continue
-    }
+async function handleSessionDeleted({ state, client, event }) {
+  const sessionId = event.properties?.info?.id || extractSessionId(event)
+  if (!sessionId) return
+
+  forgetSession(state, sessionId)
+  const record = state.stateData?.sessions?.[sessionId]
+  const routed = state.stateData?.routing?.[sessionId]
+  if (routed) delete state.stateData.routing[sessionId]
+  if (!record) {
+    if (routed) await saveState(state.statePath, state.stateData, client)
+    return
   }
 
-  if (hasConfig) return
+  delete state.stateData.sessions[sessionId]
+  await saveState(state.statePath, state.stateData, client)
+  await recordHistory({ state, client, type: "deleted", sessionId, tier: getRecordTier(record) })
+  await safeLog(client, "debug", "Dropped state for deleted session", { sessionId })
+}
+
+async function pruneSessions({ state, client }) {
+  if (!state.stateData) return
 
-  const target = paths.find(Boolean)
-  if (!target) return
+  const removed = pruneState(state.stateData, state.config?.state)
+  if (!removed.length) return
 
-  try {
-    await Bun.mkdir(path.dirname(target), { recursive: true })
-    await Bun.write(target, JSON.stringify(DEFAULT_CONFIG, null, 2))
-    await safeLog(client, "info", "Created default config", { path: target })
-  } catch (error) {
-    await safeLog(client, "error", "Failed to create config", { path: target, error: String(error) })
+  for (const sessionId of removed) forgetSession(state, sessionId)
+  await saveState(state.statePath, state.stateData, client)
+  await safeLog(client, "info", "Pruned session records", { count: removed.length })
+}
+
+function formatTime(value) {
+  const time = Number(value)
+  return time ? new Date(time).toISOString() : "unknown"
+}
+
+function modelsEqual(a, b) {
+  if (!a || !b) return false
+  return a.providerId === b.providerId && a.modelId === b.modelId
+}
+
+// An active record keeps its original model while the session walks down the chain.
+async function recordSessionFallback({
+  state,
+  client,
+  sessionId,
+  chain,
+  sessionModel,
+  currentTier,
+  tier,
+  resetAt = null,
+  extra = {},
+}) {
+  const now = Date.now()
+  const record = state.stateData.sessions[sessionId]
+  const previous = record && !record.restoredAt ? record : null
+  const originalModel =
+    previous?.originalModel || modelToString(currentTier === 0 ? sessionModel || chain[0] : chain[0])
+  // Reported reset times per provider, kept while the session walks down the chain.
+  const resets = { ...(previous?.resets || {}) }
+  const fromProvider = (sessionModel || chain[currentTier])?.providerId
+  if (resetAt && fromProvider) resets[fromProvider] = resetAt
+  const next = {
+    exhaustedAt: now,
+    lastFallbackAt: now,
+    originalModel,
+    fallbackModel: modelToString(chain[tier]),
+    tier,
+    chain: chain.map(modelToString),
+    ...(previous?.mapping ? { mapping: previous.mapping } : {}),
+    ...(Object.keys(resets).length ? { resets } : {}),
+    // The retry guard outlives restores; only its tier resets.
+    ...(record?.retry ? { retry: record.retry } : {}),
+    ...extra,
   }
+  state.stateData.sessions[sessionId] = next
+  scheduleNextReset({ state, client })
+
+  await recordHistory({
+    state,
+    client,
+    type: "fallback",
+    sessionId,
+    from: modelToString(sessionModel || chain[currentTier]),
+    to: next.fallbackModel,
+    original: originalModel,
+    tier,
+    rule: extra.detectedBy || extra.redirectedBy || null,
+    mapping: next.mapping || null,
+  })
 }
 
-async function loadState(statePath, client) {
-  const empty = { sessions: {}, lastCheckAt: 0 }
-  if (!statePath) return empty
+// Skipped in dry runs and when history is disabled, since historyPath is null then.
+// Fallbacks and restores also go to the notification sinks.
+async function recordHistory({ state, client, ...entry }) {
+  await appendHistory(state.historyPath, entry, client)
+
+  if (entry.type === "fallback") {
+    notifySinks({ state, client, event: "fallback", message: `Switched to ${entry.to}`, ...entry })
+  } else if (entry.type === "restore" && entry.ok) {
+    notifySinks({ state, client, event: "restore", message: `Switched back to ${entry.to}`, ...entry })
+  } else if (entry.type === "restore" && entry.trigger !== "probe") {
+    // A failed probe is routine; the session simply stays on its fallback.
+    notifySinks({ state, client, event: "failure", message: `Failed to switch back to ${entry.to}`, ...entry })
+  }
+}
 
-  try {
-    const file = Bun.file(statePath)
-    if (!(await file.exists())) return empty
-    const text = await file.text()
-    const raw = JSON.parse(text)
-    return { ...empty, ...raw, sessions: raw.sessions || {} }
-  } catch (error) {
-    await safeLog(client, "error", "Failed to load state", { path: statePath, error: String(error) })
-  return empty
+// Sinks run in the background so a slow webhook or command never delays a retry.
+function notifySinks({ state, client, event, message, type, ...details }) {
+  const sinks = state.config?.notifications?.sinks
+  if (state.dryRun || !sinks?.length) return
+  const payload = {
+    event,
+    message,
+    sessionId: null,
+    ...details,
+    directory: state.directory,
+    at: new Date().toISOString(),
+  }
+  void sendNotifications(sinks, payload, client)
 }
 
-async function ensureStateFile(statePath, client) {
-  if (!statePath) return
-  try {
-    const file = Bun.file(statePath)
-    if (await file.exists()) return
-    await Bun.mkdir(path.dirname(statePath), { recursive: true })
-    await Bun.write(statePath, JSON.stringify({ sessions: {}, lastCheckAt: 0 }, null, 2))
-    await safeLog(client, "info", "Created state file", { path: statePath })
-  } catch (error) {
-    await safeLog(client, "error", "Failed to create state file", {
-      path: statePath,
-      error: String(error),
-    })
+function getFallbackChainValues(config) {
+  if (config.fallbackChain?.length) return config.fallbackChain
+  return [config.primaryModel, config.fallbackModel]
+}
+
+// Invalid entries stay in place as null so tier indexes match the config.
+function getFallbackChain(config) {
+  return getFallbackChainValues(config).map((value) => parseModel(value))
+}
+
+// An active record keeps its tiers; otherwise the first matching rule builds the
+// chain below the session's exact model, and the global chain is the default.
+function resolveSessionChain({ config, sessionModel, agent, record }) {
+  if (record && !record.restoredAt && Array.isArray(record.chain)) {
+    const recorded = record.chain.map((value) => parseModel(value))
+    if (!sessionModel || recorded.some((model) => modelsEqual(model, sessionModel))) {
+      return { chain: recorded, rule: null }
+    }
   }
+
+  const rule = sessionModel ? findFallbackRule(config, sessionModel, agent) : null
+  if (rule) {
+    return { chain: [sessionModel, ...rule.fallback.map((value) => parseModel(value))], rule }
+  }
+
+  return { chain: getFallbackChain(config), rule: null }
 }
+
+function findFallbackRule(config, model, agent) {
+  const modelName = modelToString(model)
+  return (config.fallbackRules || []).find((rule) => {
+    if (!matchesPattern(rule.model, modelName)) return false
+    if (rule.agent && !matchesPattern(rule.agent, agent)) return false
+    if (rule.mode && !matchesPattern(rule.mode, agent)) return false
+    return true
+  })
 }
 
-async function saveState(statePath, stateData, client) {
-  if (!statePath) return
+// "*" matches any run of characters; a missing pattern matches everything.
+function matchesPattern(pattern, value) {
+  if (!pattern || pattern === "*") return true
+  if (typeof value !== "string") return false
+  const escaped = String(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*")
+  return new RegExp(`^${escaped}$`, "i").test(value)
+}
 
-  try {
-    await Bun.mkdir(path.dirname(statePath), { recursive: true })
-    await Bun.write(statePath, JSON.stringify(stateData, null, 2))
-  } catch (error) {
-    await safeLog(client, "error", "Failed to save state", { path: statePath, error: String(error) })
+function describeRule(rule, agent) {
+  return {
+    rule: rule.index,
+    model: rule.model || "*",
+    agent: agent || null,
   }
 }
 
-function normalizeConfig(raw) {
-  const merged = {
-    ...DEFAULT_CONFIG,
-    ...raw,
-    licensing: { ...DEFAULT_CONFIG.licensing, ...(raw.licensing || {}) },
-    restore: { ...DEFAULT_CONFIG.restore, ...(raw.restore || {}) },
-    fallback: { ...DEFAULT_CONFIG.fallback, ...(raw.fallback || {}) },
-    notifications: { ...DEFAULT_CONFIG.notifications, ...(raw.notifications || {}) },
+// Exact model matches win; a provider match covers other deployments of a tier.
+function resolveSessionTier(chain, sessionModel, record) {
+  if (!sessionModel) {
+    return record && !record.restoredAt ? getRecordTier(record) : 0
   }
 
-  merged.licensing.requireProviders = normalizeArray(
-    merged.licensing.requireProviders,
-    DEFAULT_CONFIG.licensing.requireProviders
-  )
+  const exact = chain.findIndex((model) => modelsEqual(model, sessionModel))
+  if (exact !== -1) return exact
+  return chain.findIndex((model) => model?.providerId === sessionModel.providerId)
+}
 
-  merged.fallback.onStatus = normalizeArray(merged.fallback.onStatus, DEFAULT_CONFIG.fallback.onStatus)
-  merged.fallback.onErrorCodes = normalizeArray(
-    merged.fallback.onErrorCodes,
-    DEFAULT_CONFIG.fallback.onErrorCodes
-  )
-  merged.fallback.onMessageMatches = normalizeArray(
-    merged.fallback.onMessageMatches,
-    DEFAULT_CONFIG.fallback.onMessageMatches
+// Explains how an error was classified: the extracted signals, then either the
+// exclusion that vetoed it or the first matching rule's kind and name (both null
+// when nothing matched). Configured rules run first, then the fallback lists, then
+// the throttle lists, so credit and quota signals win over rate-limit signals
+// (providers often report quota with a 429). With throttling off, rate limits fall
+// back right away, as they did before the throttle path existed.
+function classifyError(event, config, provider) {
+  const signals = {
+    status: extractStatus(event),
+    code: extractCode(event),
+    message: extractMessage(event),
+  }
+  const result = { signals, kind: null, rule: null, excludedBy: null }
+
+  const excluded = (config.detection?.exclude || []).findIndex((condition) =>
+    matchesCondition(condition, signals)
   )
+  if (excluded !== -1) return { ...result, excludedBy: `detection.exclude[${excluded}]` }
 
-  return merged
-}
+  for (const rule of getDetectionRules(config)) {
+    if (rule.providers.length && !rule.providers.some((pattern) => matchesPattern(pattern, provider))) {
+      continue
+    }
+    if (!matchesCondition(rule.match, signals)) continue
+    if (rule.unless && matchesCondition(rule.unless, signals)) continue
+    const kind = rule.kind === "throttled" && !config.throttle?.enabled ? "exhausted" : rule.kind
+    return { ...result, kind, rule: rule.name }
+  }
 
-function normalizeArray(value, fallback) {
-  if (Array.isArray(value)) return value
-  return Array.isArray(fallback) ? fallback : []
+  return result
 }
 
-function parseModel(value) {
-  if (!value || typeof value !== "string") return null
-  const parts = value.split("/")
-  if (parts.length < 2) return null
-  return { providerId: parts[0], modelId: parts.slice(1).join("/") }
+// The flat fallback/throttle lists behave as one rule per list.
+function getDetectionRules(config) {
+  const listRules = (section, kind) => [
+    { name: `${section}.onErrorCodes`, kind, providers: [], match: { code: config[section].onErrorCodes } },
+    { name: `${section}.onStatus`, kind, providers: [], match: { status: config[section].onStatus } },
+    {
+      name: `${section}.onMessageMatches`,
+      kind,
+      providers: [],
+      match: { message: config[section].onMessageMatches },
+    },
+  ]
+  return [
+    ...(config.detection?.rules || []),
+    ...listRules("fallback", "exhausted"),
+    ...listRules("throttle", "throttled"),
+  ]
 }
 
-function modelToString(model) {
-  if (!model) return null
-  if (typeof model === "string") return model
-  if (model.providerId && model.modelId) return `${model.providerId}/${model.modelId}`
-  return null
+// Conditions nest with all/any/not. A leaf lists status, code, and/or message
+// values; every key present must match one of its values. Codes compare
+// case-insensitively, messages by substring, and "/.../flags" strings are regexes.
+function matchesCondition(condition, signals) {
+  if (!condition || typeof condition !== "object") return false
+  if (Array.isArray(condition)) return condition.some((entry) => matchesCondition(entry, signals))
+  if (Array.isArray(condition.all)) return condition.all.every((entry) => matchesCondition(entry, signals))
+  if (Array.isArray(condition.any)) return condition.any.some((entry) => matchesCondition(entry, signals))
+  if (condition.not) return !matchesCondition(condition.not, signals)
+
+  const checks = []
+  if (condition.status !== undefined) {
+    checks.push(toList(condition.status).some((value) => Number(value) === signals.status))
+  }
+  if (condition.code !== undefined) {
+    checks.push(toList(condition.code).some((value) => matchesText(value, signals.code, true)))
+  }
+  if (condition.message !== undefined) {
+    checks.push(toList(condition.message).some((value) => matchesText(value, signals.message, false)))
+  }
+  return checks.length > 0 && checks.every(Boolean)
 }
 
-function modelsEqual(a, b) {
-  if (!a || !b) return false
-  return a.providerId === b.providerId && a.modelId === b.modelId
+function matchesText(matcher, value, exact) {
+  if (typeof value !== "string" || !value) return false
+  const regex = toRegex(matcher)
+  if (regex) return regex.test(value)
+
+  const needle = String(matcher).toLowerCase()
+  return exact ? value.toLowerCase() === needle : value.toLowerCase().includes(needle)
 }
 
-function isCreditExhausted(event, config) {
-  const status = extractStatus(event)
-  const code = extractCode(event)
-  const text = extractText(event)
+const regexCache = new Map()
 
-  const statusMatches = config.fallback.onStatus.some((value) => Number(value) === status)
-  const codeMatches = code
-    ? config.fallback.onErrorCodes.some((value) => value.toLowerCase() === code.toLowerCase())
-    : false
-  const textMatches = text
-    ? config.fallback.onMessageMatches.some((value) => text.includes(value.toLowerCase()))
-    : false
+function toRegex(matcher) {
+  if (typeof matcher !== "string") return null
+  const match = matcher.match(/^\/(.+)\/([a-z]*)$/)
+  if (!match) return null
+  if (!regexCache.has(matcher)) {
+    try {
+      regexCache.set(matcher, new RegExp(match[1], match[2]))
+    } catch {
+      regexCache.set(matcher, null)
+    }
+  }
+  return regexCache.get(matcher)
+}
 
-  return statusMatches || codeMatches || textMatches
+function toList(value) {
+  return Array.isArray(value) ? value : [value]
 }
 
 function extractStatus(event) {
   const candidates = [
     event?.properties?.error?.status,
+    event?.properties?.error?.data?.statusCode,
     event?.properties?.status,
     event?.error?.status,
     event?.status,
@@ -369,8 +991,12 @@ function extractStatus(event) {
 }
 
 function extractCode(event) {
+  const body = parseResponseBody(event)
   const candidates = [
     event?.properties?.error?.code,
+    event?.properties?.error?.data?.code,
+    body?.error?.code,
+    body?.error?.type,
     event?.properties?.code,
     event?.error?.code,
     event?.code,
@@ -381,27 +1007,42 @@ function extractCode(event) {
   return null
 }
 
-function extractText(event) {
+// Only real message fields count; matching against the whole serialized event
+// made words like "limit" fire on unrelated errors.
+function extractMessage(event) {
   const candidates = [
     event?.properties?.error?.message,
+    event?.properties?.error?.data?.message,
     event?.properties?.message,
     event?.error?.message,
     event?.message,
+    parseResponseBody(event)?.error?.message,
   ]
 
   for (const value of candidates) {
-    if (typeof value === "string" && value.trim()) return value.toLowerCase()
+    if (typeof value === "string" && value.trim()) return value
   }
+  return ""
+}
+
+function extractText(event) {
+  return extractMessage(event).toLowerCase()
+}
 
+function parseResponseBody(event) {
+  const body = event?.properties?.error?.data?.responseBody
+  if (typeof body !== "string" || !body.trim().startsWith("{")) return null
   try {
-    return JSON.stringify(event).toLowerCase()
+    return JSON.parse(body)
   } catch {
-    return ""
+    return null
   }
 }
 
+// OpenCode's session.error carries properties.sessionID; the rest cover older shapes.
 function extractSessionId(event) {
   const candidates = [
+    event?.properties?.sessionID,
     event?.properties?.session?.id,
     event?.properties?.sessionId,
     event?.properties?.id,
@@ -415,48 +1056,231 @@ function extractSessionId(event) {
   return null
 }
 
-async function hasRequiredProviders(client, config) {
-  const required = config.licensing?.requireProviders || []
-  if (!required.length) return true
+// Counts the failure and schedules a same-model retry. `escalate` is true when the
+// session has been throttled too often and should fall back instead.
+async function handleThrottle({ state, client, config, sessionId, event }) {
+  const throttle = config.throttle
+  const now = Date.now()
+  const windowMs = Math.max(1, Number(throttle.windowMinutes || 10)) * 60 * 1000
+  const maxDelayMs = Math.max(1, Number(throttle.maxDelaySeconds || 60)) * 1000
+  const baseDelayMs = Math.max(0.1, Number(throttle.baseDelaySeconds || 2)) * 1000
+
+  const previous = state.throttledSessions.get(sessionId)
+  const failures = previous && now - previous.lastAt <= windowMs ? previous.failures + 1 : 1
+  const entry = { failures, lastAt: now, timer: previous?.timer || null }
+  state.throttledSessions.set(sessionId, entry)
+
+  const hintMs = extractRetryAfterMs(event, now)
+  if (failures > Number(throttle.maxRetries ?? 3) || (hintMs !== null && hintMs > maxDelayMs)) {
+    await safeLog(client, "info", "Rate limit persisted; falling back", {
+      sessionId,
+      failures,
+      retryAfterMs: hintMs,
+    })
+    clearThrottle(state, sessionId)
+    return { escalate: true, failures, delayMs: null }
+  }
 
-  const providers = await getProviders(client)
-  if (!providers.length) return false
+  const delayMs = Math.min(maxDelayMs, hintMs ?? baseDelayMs * 2 ** (failures - 1))
 
-  const ids = providers
-    .map((provider) => provider.id || provider.providerID || provider.name)
-    .filter(Boolean)
-    .map((value) => String(value).toLowerCase())
+  // A retry is already scheduled for this session; dry runs never schedule one.
+  if (entry.timer || state.dryRun) return { escalate: false, failures, delayMs }
+
+  await safeLog(client, "info", "Rate limited; retrying on same model", {
+    sessionId,
+    failures,
+    delayMs,
+  })
 
-  return required.every((value) => ids.includes(String(value).toLowerCase()))
+  entry.timer = setTimeout(() => {
+    entry.timer = null
+    void retrySameModel({ state, client, sessionId })
+  }, delayMs)
+  return { escalate: false, failures, delayMs }
 }
 
-async function getProviders(client) {
+function clearThrottle(state, sessionId) {
+  const entry = state.throttledSessions.get(sessionId)
+  if (entry?.timer) clearTimeout(entry.timer)
+  state.throttledSessions.delete(sessionId)
+}
+
+async function retrySameModel({ state, client, sessionId }) {
+  const lastUserMessage = await getLastUserMessage(client, sessionId)
+  if (!lastUserMessage) {
+    await safeLog(client, "warn", "No user message to retry", { sessionId })
+    return
+  }
+
+  const info = lastUserMessage.info || lastUserMessage.message || {}
+  const model = (await getSessionModel(client, sessionId)) || toModel(info.model)
   try {
-    const response = await client.config.providers()
-    const payload = response?.data ?? response
-    return payload?.providers || []
-  } catch {
-    return []
+    await replayTurn({ state, client, sessionId, userMessage: lastUserMessage, model })
+  } catch (error) {
+    await safeLog(client, "warn", "Rate-limit retry failed", { sessionId, error: String(error) })
   }
 }
 
-async function getSessionModel(client, sessionId) {
-  try {
-    const response = await client.session.get({ path: { id: sessionId } })
-    const session = response?.data ?? response
-    const model = session?.model || session?.config?.model || session?.current?.model
+// Reads Retry-After style hints from headers, error fields, or the message text.
+function extractRetryAfterMs(event, now) {
+  const error = event?.properties?.error || event?.error || {}
+  const headers = normalizeHeaders(
+    error?.data?.responseHeaders || error?.responseHeaders || error?.headers
+  )
 
-    if (!model) return null
-    if (typeof model === "string") return parseModel(model)
+  const retryAfterMs = Number(headers["retry-after-ms"])
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) return retryAfterMs
 
-    const providerId = model.providerID || model.providerId || model.provider
-    const modelId = model.modelID || model.modelId || model.id
+  const retryAfter = headers["retry-after"]
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter)
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+    const date = Date.parse(retryAfter)
+    if (Number.isFinite(date)) return Math.max(0, date - now)
+  }
 
-    if (providerId && modelId) {
-      return { providerId, modelId }
-    }
-  } catch {
-    return null
+  for (const key of ["x-ratelimit-reset-requests", "x-ratelimit-reset-tokens"]) {
+    const duration = parseDuration(headers[key])
+    if (duration !== null) return duration
+  }
+
+  const reset = Number(headers["x-ratelimit-reset"])
+  if (Number.isFinite(reset)) {
+    // Epoch seconds when large, relative seconds otherwise.
+    return reset > 1e9 ? Math.max(0, reset * 1000 - now) : reset * 1000
+  }
+
+  const field = Number(error?.retryAfter ?? error?.data?.retryAfter)
+  if (Number.isFinite(field)) return Math.max(0, field * 1000)
+
+  const text = extractText(event)
+  const match = text.match(/(?:try again|retry)\s+(?:in|after)\s+([\d.]+\s*(?:ms|milliseconds?|s|secs?|seconds?|m|mins?|minutes?))/)
+  if (match) return parseDuration(match[1].replace(/\s+/g, ""))
+
+  return null
+}
+
+// Absolute reset time from an exhaustion error: a timestamp field in the error or
+// response body, else a Retry-After style hint counted from now.
+function extractResetAt(event, now) {
+  const error = event?.properties?.error || event?.error || {}
+  const body = parseResponseBody(event)
+  const candidates = [
+    body?.error?.reset_at,
+    body?.error?.resets_at,
+    body?.error?.resetAt,
+    body?.reset_at,
+    body?.resetAt,
+    error?.data?.resetAt,
+    error?.resetAt,
+  ]
+  for (const value of candidates) {
+    const time = parseTimestamp(value)
+    if (time !== null && time > now) return time
+  }
+
+  const retryAfterMs = extractRetryAfterMs(event, now)
+  return retryAfterMs ? now + retryAfterMs : null
+}
+
+// Epoch seconds or milliseconds, or a date string.
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null
+  const number = Number(value)
+  if (Number.isFinite(number)) return number > 1e12 ? number : number * 1000
+  const date = Date.parse(value)
+  return Number.isFinite(date) ? date : null
+}
+
+function normalizeHeaders(headers) {
+  if (!headers || typeof headers !== "object") return {}
+  const result = {}
+  for (const [key, value] of Object.entries(headers)) {
+    result[key.toLowerCase()] = Array.isArray(value) ? value[0] : value
+  }
+  return result
+}
+
+// Parses "20ms", "1.5s", "6m0s" or bare seconds into milliseconds.
+function parseDuration(value) {
+  if (value === undefined || value === null || value === "") return null
+  const text = String(value).trim().toLowerCase()
+  if (/^[\d.]+$/.test(text)) return Number(text) * 1000
+
+  let total = 0
+  let matched = false
+  const pattern = /([\d.]+)(milliseconds?|ms|hours?|h|minutes?|mins?|m|seconds?|secs?|s)/g
+  for (const [, amount, unit] of text.matchAll(pattern)) {
+    total += Number(amount) * durationUnitMs(unit)
+    matched = true
+  }
+  return matched && Number.isFinite(total) ? total : null
+}
+
+function durationUnitMs(unit) {
+  if (unit === "ms" || unit.startsWith("milli")) return 1
+  if (unit.startsWith("h")) return 60 * 60 * 1000
+  if (unit.startsWith("m")) return 60 * 1000
+  return 1000
+}
+
+async function hasRequiredProviders(client, config) {
+  const required = config.licensing?.requireProviders || []
+  if (!required.length) return true
+
+  const providers = await getProviders(client)
+  if (!providers.length) return false
+
+  return required.every((value) => findProvider(providers, value))
+}
+
+async function getProviders(client) {
+  try {
+    const response = await client.config.providers()
+    const payload = response?.data ?? response
+    return payload?.providers || []
+  } catch {
+    return []
+  }
+}
+
+// Provider ids compare case-insensitively, as licensing.requireProviders always has.
+function findProvider(providers, providerId) {
+  const wanted = String(providerId).toLowerCase()
+  return (
+    providers.find((entry) => String(entry.id || entry.providerID || entry.name || "").toLowerCase() === wanted) ||
+    null
+  )
+}
+
+// Accepts "provider/model" strings and SDK-style { providerID, modelID } objects.
+function toModel(value) {
+  if (!value) return null
+  if (typeof value === "string") return parseModel(value)
+
+  const providerId = value.providerID || value.providerId || value.provider
+  const modelId = value.modelID || value.modelId || value.id
+  if (providerId && modelId) return { providerId, modelId }
+  return null
+}
+
+async function getSessionModel(client, sessionId) {
+  try {
+    const response = await client.session.get({ path: { id: sessionId } })
+    const session = response?.data ?? response
+    const model = session?.model || session?.config?.model || session?.current?.model
+
+    if (!model) return null
+    if (typeof model === "string") return parseModel(model)
+
+    const providerId = model.providerID || model.providerId || model.provider
+    const modelId = model.modelID || model.modelId || model.id
+
+    if (providerId && modelId) {
+      return { providerId, modelId }
+    }
+  } catch {
+    return null
   }
 
   return null
@@ -480,28 +1304,409 @@ async function setSessionModel(client, sessionId, model) {
   }
 }
 
-async function getLastUserMessage(client, sessionId) {
+async function getSessionMessages(client, sessionId) {
   try {
     const response = await client.session.messages({ path: { id: sessionId } })
     const messages = response?.data ?? response
-    if (!Array.isArray(messages)) return null
-
-    for (let index = messages.length - 1; index >= 0; index -= 1) {
-      const entry = messages[index]
-      const info = entry?.info || entry?.message || {}
-      const role = info.role || info.type || info.kind
-      const isUser = role === "user" || role === "UserMessage" || info.user === true
-      if (isUser && Array.isArray(entry.parts) && entry.parts.length) {
-        return entry
-      }
-    }
+    return Array.isArray(messages) ? messages : null
   } catch {
     return null
   }
+}
+
+async function getLastUserMessage(client, sessionId) {
+  const messages = await getSessionMessages(client, sessionId)
+  if (!messages) return null
+
+  for (let index = messages.length - 1; index >= 0; index -= 1) {
+    const entry = messages[index]
+    const info = entry?.info || entry?.message || {}
+    const role = info.role || info.type || info.kind
+    const isUser = role === "user" || role === "UserMessage" || info.user === true
+    if (isUser && Array.isArray(entry.parts) && entry.parts.length) {
+      return entry
+    }
+  }
+
+  return null
+}
+
+// Sends the replayed turn to the fallback model. A prompt that fails to send is tried
+// again with exponential backoff; the retries run on timers, so the event handler
+// returns at once.
+async function sendFallbackPrompt({ state, client, sessionId, userMessage, model, attempt = 1 }) {
+  clearTimeout(state.promptRetries.get(sessionId))
+  state.promptRetries.delete(sessionId)
+  // A later fallback or a restore has moved the session off `model` since the last try.
+  const record = state.stateData?.sessions?.[sessionId]
+  if (attempt > 1 && (getRecordTier(record) <= 0 || record.fallbackModel !== modelToString(model))) return false
+  try {
+    await replayTurn({ state, client, sessionId, userMessage, model })
+    return true
+  } catch (error) {
+    const policy = getRetryPolicy(state.config)
+    const details = { sessionId, model: modelToString(model), attempt, error: String(error?.message || error) }
+    if (attempt > policy.promptRetries) {
+      await safeLog(client, "error", "Fallback prompt failed; giving up", details)
+      notifySinks({
+        state,
+        client,
+        event: "failure",
+        message: `Failed to send the turn to ${modelToString(model)}`,
+        sessionId,
+        to: modelToString(model),
+        reason: "prompt-failed",
+        error: details.error,
+      })
+      return false
+    }
+
+    const delayMs = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1))
+    await safeLog(client, "warn", "Fallback prompt failed; retrying", { ...details, delayMs })
+    const timer = setTimeout(() => {
+      void sendFallbackPrompt({ state, client, sessionId, userMessage, model, attempt: attempt + 1 })
+    }, delayMs)
+    timer.unref?.()
+    state.promptRetries.set(sessionId, timer)
+    return false
+  }
+}
+
+function getRetryPolicy(config) {
+  const retry = config?.retry || {}
+  return {
+    maxAttempts: Math.max(1, Number(retry.maxAttempts ?? 5)),
+    windowMs: Math.max(1, Number(retry.windowMinutes ?? 60)) * 60 * 1000,
+    cooldownMs: Math.max(0, Number(retry.cooldownSeconds ?? 60)) * 1000,
+    promptRetries: Math.max(0, Number(retry.promptRetries ?? 3)),
+    baseDelayMs: Math.max(0.1, Number(retry.baseDelaySeconds ?? 2)) * 1000,
+    maxDelayMs: Math.max(0.1, Number(retry.maxDelaySeconds ?? 60)) * 1000,
+  }
+}
+
+function getRecentAttempts(config, retry, now) {
+  const { windowMs } = getRetryPolicy(config)
+  return (retry?.attempts || []).filter((at) => now - Number(at) < windowMs)
+}
+
+// The retry guard lives on the session's state record as `retry`: the lowest tier
+// tried since the last restore, and when recent automatic fallbacks happened.
+// Returns the guard that blocks a fallback to `nextTier`, or null.
+function checkRetryPolicy(config, record, nextTier, now) {
+  const retry = record?.retry
+  if (!retry) return null
+  if (retry.tier !== undefined && retry.tier >= nextTier) {
+    return { guard: "already-attempted", attemptedTier: retry.tier }
+  }
+
+  const policy = getRetryPolicy(config)
+  const recent = getRecentAttempts(config, retry, now)
+  if (recent.length >= policy.maxAttempts) {
+    return { guard: "max-attempts", attempts: recent.length, windowMs: policy.windowMs }
+  }
+  // Walking further down the chain is never delayed; falling again after a restore is.
+  const restoredAt = Number(record.lastRestoreAt || 0)
+  if (retry.tier === undefined && now - restoredAt < policy.cooldownMs) {
+    return { guard: "cooldown", retryAfterMs: restoredAt + policy.cooldownMs - now }
+  }
+  return null
+}
+
+// `attempt` counts toward maxAttempts; declined and manual fallbacks only set the tier.
+function noteRetry(state, sessionId, tier, { attempt = false } = {}) {
+  if (!state.stateData) return
+  const now = Date.now()
+  const sessions = state.stateData.sessions
+  const record = sessions[sessionId] || (sessions[sessionId] = { tier: 0 })
+  const retry = record.retry || {}
+  const attempts = getRecentAttempts(state.config, retry, now)
+  record.retry = {
+    tier: Math.max(tier, retry.tier ?? -1),
+    attempts: attempt ? [...attempts, now] : attempts,
+    lastAt: now,
+  }
+}
+
+// Replays the user's last turn on `model`: reverts the failed attempt, adapts the
+// parts to the model, and keeps the agent, system prompt, and tools the user chose.
+async function replayTurn({ state, client, sessionId, userMessage, model }) {
+  const replay = state.config.replay || {}
+  const info = userMessage.info || userMessage.message || {}
+
+  if (replay.revertFailedTurn) {
+    await revertFailedTurn(client, sessionId, info.id)
+  }
+
+  // Smaller fallbacks may not fit the whole session; compact it first.
+  if (model) {
+    await fitContextForModel({ state, client, sessionId, model, fromModel: toModel(info.model) })
+  }
+
+  const parts = replay.adaptParts
+    ? await adaptPartsForModel({ client, config: state.config, sessionId, parts: userMessage.parts, model })
+    : userMessage.parts
+
+  const response = await client.session.prompt({
+    path: { id: sessionId },
+    body: {
+      ...(model ? { model: { providerID: model.providerId, modelID: model.modelId } } : {}),
+      ...(info.agent ? { agent: info.agent } : {}),
+      ...(info.system ? { system: info.system } : {}),
+      ...(info.tools ? { tools: info.tools } : {}),
+      parts,
+    },
+  })
+  // The SDK returns HTTP failures as { error } instead of throwing; an errored reply
+  // comes back as info.error.
+  const error = response?.error || (response?.data ?? response)?.info?.error
+  if (error) throw new Error(describeError(error))
+}
+
+// Reverting to the user message drops it together with the errored reply, so the
+// replayed prompt does not leave a duplicate turn in the transcript.
+async function revertFailedTurn(client, sessionId, userMessageId) {
+  if (!userMessageId || !client.session.revert) return
+
+  const messages = await getSessionMessages(client, sessionId)
+  if (!messages) return
+  const index = messages.findIndex((entry) => (entry?.info || entry?.message)?.id === userMessageId)
+  if (index === -1) return
+
+  const failed = messages
+    .slice(index + 1)
+    .some((entry) => (entry?.info || entry?.message)?.error)
+  if (!failed) return
+
+  try {
+    await client.session.revert({ path: { id: sessionId }, body: { messageID: userMessageId } })
+  } catch (error) {
+    await safeLog(client, "debug", "Failed to revert errored turn", {
+      sessionId,
+      error: String(error),
+    })
+  }
+}
+
+// Stored parts carry ids of the original message; the prompt gets fresh inputs.
+// Attachments the model cannot read become a short text note instead.
+async function adaptPartsForModel({ client, config, sessionId, parts, model }) {
+  const capabilities = model
+    ? await getModelCapabilities(client, config, model)
+    : { image: true, pdf: true }
+  const adapted = []
+  const dropped = []
+
+  for (const part of parts || []) {
+    if (part?.type === "text") {
+      if (!part.synthetic) adapted.push({ type: "text", text: part.text })
+      continue
+    }
+
+    if (part?.type === "file") {
+      const mime = String(part.mime || "")
+      const unsupported =
+        (mime.startsWith("image/") && !capabilities.image) ||
+        (mime === "application/pdf" && !capabilities.pdf)
+      if (unsupported) {
+        const name = part.filename || part.url || "attachment"
+        dropped.push(name)
+        adapted.push({
+          type: "text",
+          text: `[Attachment "${name}" (${mime}) omitted: ${modelToString(model)} cannot read it]`,
+        })
+        continue
+      }
+      adapted.push({
+        type: "file",
+        mime: part.mime,
+        url: part.url,
+        ...(part.filename ? { filename: part.filename } : {}),
+        ...(part.source ? { source: part.source } : {}),
+      })
+      continue
+    }
+
+    if (part?.type === "agent") {
+      adapted.push({ type: "agent", name: part.name, ...(part.source ? { source: part.source } : {}) })
+    }
+  }
+
+  if (dropped.length) {
+    await safeLog(client, "info", "Replaced attachments the fallback cannot read", {
+      sessionId,
+      model,
+      dropped,
+    })
+  }
+
+  return adapted.length ? adapted : parts
+}
+
+// Config wins; otherwise the provider catalog's attachment and modality flags.
+// Unknown models are assumed to accept everything.
+async function getModelCapabilities(client, config, model) {
+  const modelName = modelToString(model)
+  const textOnly = (config.replay?.textOnlyModels || []).some((pattern) =>
+    matchesPattern(pattern, modelName)
+  )
+  if (textOnly) return { image: false, pdf: false }
+
+  const provider = findProvider(await getProviders(client), model.providerId)
+  const info = provider?.models?.[model.modelId]
+  if (!info) return { image: true, pdf: true }
+
+  const inputs = info.modalities?.input
+  if (Array.isArray(inputs)) {
+    return { image: inputs.includes("image"), pdf: inputs.includes("pdf") }
+  }
+  if (info.attachment === false) return { image: false, pdf: false }
+  return { image: true, pdf: true }
+}
+
+// Compacts the session when its estimated size will not fit the model's context window.
+async function fitContextForModel({ state, client, sessionId, model, fromModel }) {
+  const context = state.config.context
+  if (!context?.enabled) return
+
+  const limit = await getContextLimit(client, context, model)
+  if (!limit) return
+
+  const messages = await getSessionMessages(client, sessionId)
+  if (!messages) return
+
+  const charsPerToken = Math.max(1, Number(context.charsPerToken || 4))
+  const budget = Math.max(0, limit - Math.max(0, Number(context.reserveTokens || 0)))
+  const estimate = estimateMessagesTokens(messages, charsPerToken)
+  if (estimate <= budget) return
+
+  let method = "trim"
+  const summaryModel =
+    context.strategy === "summarize"
+      ? await findSummaryModel({ state, client, sessionId, model, fromModel, estimate })
+      : null
+  if (summaryModel) {
+    try {
+      // The SDK returns HTTP failures as { error } instead of throwing.
+      const response = await client.session.summarize({
+        path: { id: sessionId },
+        body: { providerID: summaryModel.providerId, modelID: summaryModel.modelId },
+      })
+      if (response?.error) throw new Error(describeError(response.error))
+      method = "summarize"
+    } catch (error) {
+      await safeLog(client, "warn", "Session summarize failed; trimming tool output instead", {
+        sessionId,
+        error: String(error),
+      })
+    }
+  }
+
+  if (method === "trim") {
+    state.trimSessions.set(sessionId, { model, budget, charsPerToken })
+  }
+
+  await safeLog(client, "info", "Compacted session for smaller context window", {
+    sessionId,
+    model,
+    method,
+    estimate,
+    limit,
+  })
+
+  if (!state.config.notifications?.toastOnFallback) return
+  const action = method === "summarize" ? "Summarized" : "Trimming older tool output in"
+  try {
+    await client.tui.showToast({
+      body: {
+        message: `${action} session to fit ${modelToString(model)} (~${estimate} of ${limit} tokens).`,
+        variant: "info",
+      },
+    })
+  } catch (error) {
+    await safeLog(client, "debug", "Toast failed", { error: String(error) })
+  }
+}
 
+// `model` cannot summarize a session it cannot hold, so the summary runs on the model
+// the turn came from, or another tier of the session's chain, that is available and
+// fits the estimate. Null when none does.
+async function findSummaryModel({ state, client, sessionId, model, fromModel, estimate }) {
+  const record = state.stateData?.sessions?.[sessionId]
+  const chain = Array.isArray(record?.chain) ? record.chain.map((value) => parseModel(value)) : []
+  const tried = new Set([modelToString(model)])
+  for (const candidate of [fromModel, ...chain]) {
+    if (!candidate || tried.has(modelToString(candidate))) continue
+    tried.add(modelToString(candidate))
+    if (getProviderStatus(state, candidate.providerId) === "open") continue
+    const limit = await getContextLimit(client, state.config.context, candidate)
+    if (limit && estimate <= limit) return candidate
+  }
   return null
 }
 
+async function getContextLimit(client, context, model) {
+  const modelName = modelToString(model)
+  const key = Object.keys(context.limits || {}).find((pattern) => matchesPattern(pattern, modelName))
+  if (key) return Number(context.limits[key]) || null
+
+  const provider = findProvider(await getProviders(client), model.providerId)
+  const limit = Number(provider?.models?.[model.modelId]?.limit?.context)
+  return Number.isFinite(limit) && limit > 0 ? limit : null
+}
+
+// Tokenizers differ per model, so size is estimated from characters. Messages
+// before the latest summary are no longer sent to the model and are skipped.
+function estimateMessagesTokens(messages, charsPerToken) {
+  let start = 0
+  messages.forEach((entry, index) => {
+    if ((entry?.info || entry?.message)?.summary === true) start = index
+  })
+
+  let chars = 0
+  for (const entry of messages.slice(start)) {
+    for (const part of entry?.parts || []) chars += getPartChars(part)
+  }
+  return Math.ceil(chars / charsPerToken)
+}
+
+function getPartChars(part) {
+  if (!part) return 0
+  if (typeof part.text === "string") return part.text.length
+  if (part.type === "tool") {
+    const input = part.state?.input ? JSON.stringify(part.state.input).length : 0
+    const output = typeof part.state?.output === "string" ? part.state.output.length : 0
+    return input + output
+  }
+  return 0
+}
+
+const TRIMMED_OUTPUT = "[older tool output trimmed by credit-switcher to fit the context window]"
+
+// Replaces tool output oldest first until the estimate fits. The latest turn is kept intact.
+function trimToolOutputs(messages, budget, charsPerToken) {
+  let estimate = estimateMessagesTokens(messages, charsPerToken)
+  if (estimate <= budget) return
+
+  const lastUserIndex = messages.findLastIndex((entry) => entry?.info?.role === "user")
+  const older = lastUserIndex === -1 ? messages : messages.slice(0, lastUserIndex)
+  for (const entry of older) {
+    for (const part of entry?.parts || []) {
+      if (part?.type !== "tool" || typeof part.state?.output !== "string") continue
+      if (part.state.output === TRIMMED_OUTPUT) continue
+      estimate -= Math.floor((part.state.output.length - TRIMMED_OUTPUT.length) / charsPerToken)
+      part.state.output = TRIMMED_OUTPUT
+      if (estimate <= budget) return
+    }
+  }
+}
+
+// OpenCode stores the agent on user messages; older builds call it "mode".
+function getMessageAgent(entry) {
+  const info = entry?.info || entry?.message || {}
+  const agent = info.agent || info.mode
+  return typeof agent === "string" && agent ? agent : null
+}
+
 async function confirmFallback({ client, config, sessionId, fallbackModel }) {
   if (!config.notifications?.confirmOnFallback) return true
   if (!client?.tui?.showConfirm) return true
@@ -532,87 +1737,1190 @@ async function confirmFallback({ client, config, sessionId, fallbackModel }) {
   return true
 }
 
-function scheduleRestoreCheck({ state, client }) {
-  if (state.restoreTimer) clearInterval(state.restoreTimer)
-  const hours = Number(state.config?.restore?.intervalHours || 24)
-  const intervalMs = Math.max(1, hours) * 60 * 60 * 1000
-
-  state.restoreTimer = setInterval(() => {
-    void runRestoreCheck({ state, client, intervalMs })
-  }, intervalMs)
+// Logs each schema problem and sums them up in one toast; unreadable files get their own.
+async function reportConfigProblems({ client, loaded }) {
+  const { path: configPath, problems, error } = loaded
+  if (!error && !problems.length) return
 
-  void runRestoreCheck({ state, client, intervalMs })
-}
+  for (const problem of problems) {
+    await safeLog(client, "warn", "Config problem", {
+      path: problem.source || configPath,
+      field: problem.path,
+      problem: problem.message,
+    })
+  }
 
-async function runRestoreCheck({ state, client, intervalMs }) {
-  // Runs at most once per interval to avoid spam in long-lived sessions.
-  if (!state.config?.restore?.enabled) return
-  if (!state.stateData) return
+  const shown = problems.slice(0, 3).map(formatProblem)
+  if (problems.length > shown.length) shown.push(`…and ${problems.length - shown.length} more`)
+  const message = error
+    ? `Credit switcher config could not be read: ${error}`
+    : `Credit switcher config has ${problems.length} problem${problems.length === 1 ? "" : "s"}:\n${shown.join("\n")}`
 
-  const now = Date.now()
-  const lastCheckAt = Number(state.stateData.lastCheckAt || 0)
-  const threshold = intervalMs || DAY_MS
+  try {
+    await client.tui.showToast({
+      body: {
+        message,
+        variant: error ? "error" : "warning",
+      },
+    })
+  } catch (toastError) {
+    await safeLog(client, "debug", "Config toast failed", { error: String(toastError) })
+  }
+}
 
-  if (now - lastCheckAt < threshold) return
+// Checks the configured models against what OpenCode actually offers. OpenCode only
+// lists providers it can use, so a missing provider means no credentials or config.
+async function checkModelSetup({ state, client }) {
+  const config = state.config
+  if (!config?.enabled) return
 
-  state.stateData.lastCheckAt = now
-  const sessions = state.stateData.sessions || {}
+  let providers
+  try {
+    providers = await withTimeout(getProviders(client), SETUP_CHECK_TIMEOUT_MS)
+  } catch (error) {
+    await safeLog(client, "debug", "Setup check skipped", { error: String(error) })
+    return
+  }
+  // An empty list usually means OpenCode could not answer yet, not that nothing is set up.
+  if (!providers.length) return
+
+  const problems = []
+  const missingProviders = new Set()
+  const checkModel = (field, value) => {
+    const model = parseModel(value)
+    if (!model) return
+    const provider = findProvider(providers, model.providerId)
+    if (!provider) {
+      if (missingProviders.has(model.providerId)) return
+      missingProviders.add(model.providerId)
+      problems.push({ path: field, message: `provider "${model.providerId}" is not configured or has no credentials` })
+    } else if (provider.models && !provider.models[model.modelId]) {
+      problems.push({ path: field, message: `"${model.modelId}" is not in ${model.providerId}'s model catalog` })
+    }
+  }
 
-  // Attempt to restore sessions that have been on fallback long enough.
-  for (const [sessionId, record] of Object.entries(sessions)) {
-    const exhaustedAt = Number(record?.exhaustedAt || 0)
-    if (!exhaustedAt || now - exhaustedAt < threshold) continue
+  const chain = getFallbackChainValues(config)
+  const fields = config.fallbackChain?.length
+    ? chain.map((_, index) => `fallbackChain[${index}]`)
+    : ["primaryModel", "fallbackModel"]
+  chain.forEach((value, index) => checkModel(fields[index], value))
+  for (const rule of config.fallbackRules || []) {
+    rule.fallback.forEach((value, index) => checkModel(`fallbackRules[${rule.index}].fallback[${index}]`, value))
+  }
 
-    const originalModel = parseModel(record.originalModel || state.config.primaryModel)
-    const fallbackModel = parseModel(record.fallbackModel || state.config.fallbackModel)
-    if (!originalModel || !fallbackModel) continue
+  for (const [index, providerId] of (config.licensing?.requireProviders || []).entries()) {
+    if (findProvider(providers, providerId) || missingProviders.has(providerId)) continue
+    missingProviders.add(providerId)
+    problems.push({
+      path: `licensing.requireProviders[${index}]`,
+      message: `provider "${providerId}" is not configured or has no credentials`,
+    })
+  }
 
-    const sessionModel = await getSessionModel(client, sessionId)
-    if (sessionModel && modelsEqual(sessionModel, originalModel)) {
-      record.restoredAt = now
-      continue
+  // A tier on the primary's provider shares its credits and runs out with it.
+  const primary = parseModel(chain[0])
+  chain.slice(1).forEach((value, index) => {
+    const model = parseModel(value)
+    if (primary && model?.providerId === primary.providerId) {
+      problems.push({ path: fields[index + 1], message: `uses the same provider as ${fields[0]} ("${primary.providerId}")` })
     }
-    if (sessionModel && !modelsEqual(sessionModel, fallbackModel)) continue
+  })
 
-    const updated = await setSessionModel(client, sessionId, originalModel)
-    record.lastRestoreAttemptAt = now
+  if (!problems.length) return
 
-    if (updated) {
-      record.restoredAt = now
-      if (state.config.notifications?.toastOnRestore) {
-        try {
-          await client.tui.showToast({
-            body: {
-              message: "Credits restored. Switched back to primary model.",
-              variant: "success",
-            },
-          })
-        } catch (error) {
-          await safeLog(client, "debug", "Restore toast failed", { error: String(error) })
-        }
-      }
-    } else {
-      await safeLog(client, "warn", "Failed to restore primary model", {
-        sessionId,
-        model: originalModel,
-      })
-    }
+  for (const problem of problems) {
+    await safeLog(client, "warn", "Setup problem", { field: problem.path, problem: problem.message })
   }
 
-  await saveState(state.statePath, state.stateData, client)
-}
-
-async function safeLog(client, level, message, extra = {}) {
+  const shown = problems.slice(0, 3).map(formatProblem)
+  if (problems.length > shown.length) shown.push(`…and ${problems.length - shown.length} more`)
   try {
-    await client.app.log({
+    await client.tui.showToast({
       body: {
-        service: SERVICE_NAME,
-        level,
-        message,
-        extra,
+        message: `Credit switcher setup has ${problems.length} problem${problems.length === 1 ? "" : "s"}:\n${shown.join("\n")}`,
+        variant: "warning",
       },
     })
-  } catch {
-    return
+  } catch (toastError) {
+    await safeLog(client, "debug", "Setup toast failed", { error: String(toastError) })
+  }
+}
+
+// Watches each layer's directory rather than the file, since editors often replace
+// files, and so a layer created after startup is picked up too.
+function watchConfig({ state, client }) {
+  const names = new Map()
+  for (const layer of state.configLayers) {
+    const dir = path.dirname(layer.path)
+    if (!names.has(dir)) names.set(dir, new Set())
+    names.get(dir).add(path.basename(layer.path))
   }
+
+  for (const [dir, files] of names) {
+    try {
+      const watcher = watchDirectory(dir, (filename) => {
+        if (filename && !files.has(filename)) return
+        clearTimeout(state.reloadTimer)
+        state.reloadTimer = setTimeout(() => {
+          void reloadConfig({ state, client })
+        }, CONFIG_RELOAD_DELAY_MS)
+      })
+      state.configWatchers.push(watcher)
+    } catch (error) {
+      // Missing directories are normal for layers that are not in use.
+      if (error?.code === "ENOENT") continue
+      void safeLog(client, "warn", "Cannot watch config; edits apply after restart", {
+        path: dir,
+        error: String(error),
+      })
+    }
+  }
+}
+
+// `opencode-credit-switcher restore` marks the record in the state file; watching the
+// file applies it right away instead of at the next restore check. Only the state
+// file's own name counts, since saves also write a lock and a temp file next to it.
+function watchState({ state, client }) {
+  if (!state.statePath) return
+  const file = path.basename(state.statePath)
+  try {
+    state.stateWatcher = watchDirectory(path.dirname(state.statePath), (filename) => {
+      if (filename && filename !== file) return
+      clearTimeout(state.stateWatchTimer)
+      state.stateWatchTimer = setTimeout(() => {
+        void runRequestedRestores({ state, client })
+      }, CONFIG_RELOAD_DELAY_MS)
+    })
+  } catch (error) {
+    void safeLog(client, "warn", "Cannot watch state; CLI restores apply at the next restore check", {
+      path: state.statePath,
+      error: String(error),
+    })
+  }
+}
+
+// Most changes are this process's own saves, which are skipped; of the rest, only a
+// pending request runs a check.
+async function runRequestedRestores({ state, client }) {
+  if (!state.config?.enabled || !state.config.restore?.enabled) return
+  const text = await readText(state.statePath).catch(() => null)
+  if (!text || isOwnStateWrite(state.statePath, text)) return
+  let disk = null
+  try {
+    disk = JSON.parse(text)
+  } catch {
+    return
+  }
+  const records = Object.values(disk?.sessions || {})
+  if (!records.some((record) => record?.restoreRequestedAt)) return
+  await runRestoreCheck({ state, client, intervalMs: getRestoreIntervalMs(state.config) })
+}
+
+// A file that cannot be read or parsed keeps the last good config in place.
+async function reloadConfig({ state, client }) {
+  const loaded = await loadConfig(state.configLayers, client)
+  if (!loaded.path || loaded.text === state.configText) return
+
+  if (loaded.error) {
+    await reportConfigProblems({ client, loaded })
+    return
+  }
+
+  const previous = state.config
+  state.config = loaded.config
+  state.configText = loaded.text
+  state.healthCache.clear()
+  await reportConfigProblems({ client, loaded })
+  await safeLog(client, "info", "Reloaded config", { path: loaded.path, problems: loaded.problems.length })
+  await checkModelSetup({ state, client })
+
+  if (Boolean(previous?.dryRun) !== Boolean(loaded.config.dryRun)) {
+    await safeLog(client, "info", "dryRun changes take effect after OpenCode restarts", { path: loaded.path })
+  }
+
+  if (!state.dryRun && state.config.enabled && state.config.restore?.enabled) {
+    scheduleRestoreCheck({ state, client })
+  } else {
+    if (state.restoreTimer) clearInterval(state.restoreTimer)
+    state.restoreTimer = null
+    scheduleNextReset({ state, client })
+  }
+  scheduleQuotaPolls({ state, client })
+  scheduleRoutingWindows({ state, client })
+}
+
+function scheduleRestoreCheck({ state, client }) {
+  if (state.restoreTimer) clearInterval(state.restoreTimer)
+  const intervalMs = getRestoreIntervalMs(state.config)
+
+  state.restoreTimer = setInterval(() => {
+    void runRestoreCheck({ state, client, intervalMs })
+  }, intervalMs)
+  // OpenCode keeps the process alive; the timer alone should not (CLI, tests).
+  state.restoreTimer.unref?.()
+
+  void runRestoreCheck({ state, client, intervalMs })
+}
+
+async function runRestoreCheck({ state, client, intervalMs }) {
+  // Runs at most once per interval to avoid spam in long-lived sessions.
+  if (!state.config?.restore?.enabled) return
+  if (!state.stateData) return
+
+  const now = Date.now()
+  const threshold = intervalMs || DAY_MS
+
+  // Instances sharing the state file claim each check under the state lock, so only
+  // one of them runs it. Restores requested from the CLI, provider resets that have
+  // passed, and polled quota that has come back make a check due at once.
+  const claimed = await updateState(state.statePath, state.stateData, client, (data) => {
+    const records = Object.values(data.sessions || {}).filter(Boolean)
+    const requested = records.some((record) => record.restoreRequestedAt)
+    const reset = records.some((record) => {
+      if (!isWaitingOnReset(record)) return false
+      // Records without a reset schedule have a null resetAt and wait for the interval.
+      const { resetAt } = getRestoreStep(state.config, record, threshold)
+      return resetAt !== null && resetAt <= now
+    })
+    const quota = records.some((record) => isWaitingOnReset(record) && hasQuotaForRestore(state, record, threshold))
+    if (!requested && !reset && !quota && now - Number(data.lastCheckAt || 0) < threshold) return false
+    data.lastCheckAt = now
+  })
+  if (!claimed) {
+    scheduleNextReset({ state, client })
+    return
+  }
+
+  await pruneSessions({ state, client })
+  const sessions = state.stateData.sessions || {}
+
+  const probing = state.config.restore.mode === "probe"
+  // One probe per model per check, shared by every session waiting on it.
+  const probeResults = new Map()
+
+  // Move sessions that have been on a lower tier long enough up one tier.
+  for (const [sessionId, record] of Object.entries(sessions)) {
+    const tier = getRecordTier(record)
+    if (tier <= 0 || record?.pinned) {
+      if (record) delete record.restoreRequestedAt
+      continue
+    }
+
+    // Restores requested from the CLI go straight to primary without waiting or probing.
+    // A request is tried once; if it fails, the session is left to the regular checks.
+    const requested = Boolean(record.restoreRequestedAt)
+    delete record.restoreRequestedAt
+    const step = getRestoreStep(state.config, record, threshold, requested)
+    // Quota the provider reports having back stands in for the wait and the probe.
+    const quotaBack = !requested && hasQuotaForRestore(state, record, threshold)
+    if (!requested && !quotaBack && step.dueAt > now) continue
+    if (!requested && !quotaBack && probing && Number(record.nextProbeAt || 0) > now) continue
+
+    const { targetTier, targetModel, currentModel } = step
+    if (!targetModel || !currentModel) continue
+    if (!requested && getProviderStatus(state, targetModel.providerId, now) === "open") continue
+
+    const attempt = {
+      sessionId,
+      from: modelToString(currentModel),
+      to: modelToString(targetModel),
+      original: record.originalModel || null,
+      tier: targetTier,
+      trigger: requested
+        ? "requested"
+        : quotaBack
+          ? "quota"
+          : probing
+            ? "probe"
+            : step.resetAt !== null
+              ? "reset"
+              : "interval",
+    }
+
+    // Someone already switched the session back by hand; just catch the record up.
+    const sessionModel = await getSessionModel(client, sessionId)
+    if (sessionModel && modelsEqual(sessionModel, targetModel)) {
+      applyRestoreStep(record, targetTier, targetModel, now)
+      await recordHistory({ state, client, type: "restore", ...attempt, trigger: "observed", ok: true })
+      continue
+    }
+    if (!requested && sessionModel && !modelsEqual(sessionModel, currentModel)) continue
+
+    await recordHistory({ state, client, type: "restore-attempt", ...attempt })
+
+    if (probing && !requested && !quotaBack) {
+      const key = modelToString(targetModel)
+      if (!probeResults.has(key)) {
+        probeResults.set(key, await probeModel({ state, client, model: targetModel }))
+      }
+      const result = probeResults.get(key)
+      recordProbeResult(record, result, state.config, now)
+      if (!result.ok) {
+        await safeLog(client, "info", "Restore probe failed; staying on fallback", {
+          sessionId,
+          model: targetModel,
+          failures: record.probeFailures,
+          nextProbeAt: record.nextProbeAt,
+          error: result.error,
+        })
+        await recordHistory({ state, client, type: "restore", ...attempt, ok: false, error: result.error })
+        continue
+      }
+    }
+
+    const updated = await setSessionModel(client, sessionId, targetModel)
+    record.lastRestoreAttemptAt = now
+    await recordHistory({ state, client, type: "restore", ...attempt, ok: updated })
+
+    if (updated) {
+      applyRestoreStep(record, targetTier, targetModel, now)
+      if (state.config.notifications?.toastOnRestore) {
+        const message =
+          targetTier === 0
+            ? "Credits restored. Switched back to primary model."
+            : `Credits restored. Moved up to ${modelToString(targetModel)}.`
+        try {
+          await client.tui.showToast({
+            body: {
+              message,
+              variant: "success",
+            },
+          })
+        } catch (error) {
+          await safeLog(client, "debug", "Restore toast failed", { error: String(error) })
+        }
+      }
+    } else {
+      await safeLog(client, "warn", "Failed to restore higher tier model", {
+        sessionId,
+        model: targetModel,
+        tier: targetTier,
+      })
+    }
+  }
+
+  await saveState(state.statePath, state.stateData, client)
+  scheduleNextReset({ state, client })
+}
+
+// The tier a restore check moves the record up to, and when it is due: at the
+// target provider's next reset when it has a schedule, else after the interval.
+function getRestoreStep(config, record, intervalMs, requested = false) {
+  const tier = getRecordTier(record)
+  const chain = Array.isArray(record.chain)
+    ? record.chain.map((value) => parseModel(value))
+    : getFallbackChain(config)
+  const targetTier = requested ? 0 : Math.min(tier, chain.length) - 1
+  const targetModel =
+    targetTier === 0 ? parseModel(record.originalModel || config.primaryModel) : chain[targetTier]
+  const currentModel = parseModel(record.fallbackModel) || chain[tier]
+
+  const since = Number(record.lastRestoreAt || record.exhaustedAt || 0)
+  const resetAt =
+    since && targetModel
+      ? getProviderResetAt(config, targetModel.providerId, since, record.resets?.[targetModel.providerId])
+      : null
+  const dueAt = resetAt ?? (since ? since + intervalMs : Infinity)
+  return { targetTier, targetModel, currentModel, resetAt, dueAt }
+}
+
+function isWaitingOnReset(record) {
+  return getRecordTier(record) > 0 && !record.pinned
+}
+
+// When a provider with a reset schedule gets its quota back after `since`, or null
+// when it has none. A reset reported by the error wins when fromError is set.
+function getProviderResetAt(config, providerId, since, reportedAt) {
+  const reset = config?.restore?.resets?.[providerId]
+  if (!reset) return null
+  if (reset.fromError && Number(reportedAt) > since) return Number(reportedAt)
+  return getNextReset(reset, since)
+}
+
+// Intervals only poll, so a timer also fires at the earliest reset a session waits on.
+// Long waits are split into daily hops to stay within setTimeout's range.
+function scheduleNextReset({ state, client }) {
+  if (state.resetTimer) clearTimeout(state.resetTimer)
+  state.resetTimer = null
+  if (state.dryRun || !state.config?.enabled || !state.config.restore?.enabled) return
+  if (!Object.keys(state.config.restore.resets || {}).length) return
+
+  const now = Date.now()
+  const intervalMs = getRestoreIntervalMs(state.config)
+  let next = Infinity
+  for (const record of Object.values(state.stateData?.sessions || {})) {
+    if (!record || !isWaitingOnReset(record)) continue
+    const { resetAt } = getRestoreStep(state.config, record, intervalMs)
+    if (resetAt !== null && resetAt > now) next = Math.min(next, resetAt)
+  }
+  if (next === Infinity) return
+
+  state.resetTimer = setTimeout(() => {
+    state.resetTimer = null
+    if (Date.now() < next) scheduleNextReset({ state, client })
+    else void runRestoreCheck({ state, client, intervalMs })
+  }, Math.min(next - now, DAY_MS))
+  state.resetTimer.unref?.()
+}
+
+function getRestoreIntervalMs(config) {
+  if (config?.restore?.mode === "probe") {
+    const minutes = Number(config.restore.probe?.intervalMinutes || 60)
+    return Math.max(1, minutes) * 60 * 1000
+  }
+  const hours = Number(config?.restore?.intervalHours || 24)
+  return Math.max(1, hours) * 60 * 60 * 1000
+}
+
+// Sends the configured probe prompt to the model in a throwaway session.
+async function probeModel({ state, client, model }) {
+  const probe = state.config.restore.probe
+  const timeoutMs = Math.max(1, Number(probe.timeoutSeconds || 60)) * 1000
+  let sessionId = null
+
+  try {
+    const created = await client.session.create({ body: { title: "credit-switcher probe" } })
+    sessionId = (created?.data ?? created)?.id
+    if (!sessionId) return { ok: false, error: "Probe session was not created" }
+    state.probeSessions.add(sessionId)
+
+    const response = await withTimeout(
+      client.session.prompt({
+        path: { id: sessionId },
+        body: {
+          model: {
+            providerID: model.providerId,
+            modelID: model.modelId,
+          },
+          parts: [{ type: "text", text: probe.prompt }],
+        },
+      }),
+      timeoutMs
+    )
+    const payload = response?.data ?? response
+    const error = payload?.info?.error || payload?.error
+    if (error) return { ok: false, error: describeError(error) }
+    return { ok: true }
+  } catch (error) {
+    return { ok: false, error: String(error) }
+  } finally {
+    if (sessionId) {
+      try {
+        await client.session.delete({ path: { id: sessionId } })
+      } catch {
+        // A leftover probe session is harmless.
+      }
+    }
+  }
+}
+
+// Failed probes back off exponentially from the probe interval, capped at maxBackoffHours.
+function recordProbeResult(record, result, config, now) {
+  record.lastProbeAt = now
+  if (result.ok) {
+    record.probeFailures = 0
+    delete record.lastProbeError
+    delete record.nextProbeAt
+    return
+  }
+
+  const probe = config.restore.probe
+  const failures = Number(record.probeFailures || 0) + 1
+  const baseMs = getRestoreIntervalMs(config)
+  const maxMs = Math.max(1, Number(probe.maxBackoffHours || 24)) * 60 * 60 * 1000
+  record.probeFailures = failures
+  record.lastProbeError = result.error
+  record.nextProbeAt = now + Math.min(maxMs, baseMs * 2 ** (failures - 1))
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer = null
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+function describeError(error) {
+  if (typeof error === "string") return error
+  const name = error?.name
+  const message = error?.data?.message || error?.message
+  if (name && message) return `${name}: ${message}`
+  try {
+    return JSON.stringify(error)
+  } catch {
+    return String(error)
+  }
+}
+
+// A provider over its local budget counts as open until the budget period resets.
+function getProviderStatus(state, provider, now = Date.now()) {
+  if (isOverBudget(state, provider, now) || isQuotaLow(state, provider)) return "open"
+  return getBreakerStatus(state, provider, now)
+}
+
+// Breakers are "closed", "open", or "half-open" once the restore window has passed,
+// or the provider's next reset for providers with a reset schedule.
+function getBreakerStatus(state, provider, now = Date.now()) {
+  if (!state.config?.breaker?.enabled) return "closed"
+  const breaker = state.stateData?.breakers?.[provider]
+  if (!breaker || breaker.state === "closed") return "closed"
+  if (breaker.state === "half-open") return "half-open"
+
+  const openedAt = Number(breaker.openedAt || 0)
+  const resetAt = getProviderResetAt(state.config, provider, openedAt, breaker.resetAt)
+  const halfOpenAt = resetAt ?? openedAt + getRestoreIntervalMs(state.config)
+  return now >= halfOpenAt ? "half-open" : "open"
+}
+
+async function tripBreaker({ state, client, provider, sessionId, resetAt = null }) {
+  if (!state.config.breaker?.enabled || !state.stateData || !provider) return
+
+  const breakers = state.stateData.breakers || (state.stateData.breakers = {})
+  const wasOpen = breakers[provider]?.state === "open"
+  breakers[provider] = {
+    state: "open",
+    openedAt: Date.now(),
+    trippedBy: sessionId,
+    ...(resetAt ? { resetAt } : {}),
+  }
+
+  if (!wasOpen) {
+    await safeLog(client, "info", "Breaker opened; routing sessions around provider", {
+      provider,
+      sessionId,
+    })
+  }
+}
+
+// Returns the first tier from `start` whose provider is not open or over budget.
+function findAvailableTier(state, chain, start) {
+  const now = Date.now()
+  for (let tier = start; tier < chain.length; tier += 1) {
+    const model = chain[tier]
+    if (model && getProviderStatus(state, model.providerId, now) !== "open") return tier
+  }
+  return -1
+}
+
+// Walks down the chain from `start` to the first available tier whose endpoint is healthy.
+async function selectHealthyTier({ state, client, chain, start }) {
+  const unhealthy = []
+  let tier = findAvailableTier(state, chain, start)
+  while (tier !== -1) {
+    const health = await checkFallbackHealth({ state, client, model: chain[tier] })
+    if (health.ok) return { tier, unhealthy }
+    unhealthy.push({ model: modelToString(chain[tier]), reason: health.reason })
+    tier = findAvailableTier(state, chain, tier + 1)
+  }
+  return { tier: -1, unhealthy }
+}
+
+async function notifyUnhealthyFallback({ state, client, sessionId, unhealthy }) {
+  await safeLog(client, "warn", "No healthy fallback model; skipping retry", { sessionId, unhealthy })
+  if (!unhealthy.length) return
+
+  const [first] = unhealthy
+  const message =
+    unhealthy.length === 1
+      ? `Credits exhausted, but fallback ${first.model} is unavailable: ${first.reason}`
+      : `Credits exhausted, but no fallback is available (${first.model}: ${first.reason})`
+  notifySinks({ state, client, event: "failure", message, sessionId, reason: "no-healthy-fallback", unhealthy })
+  try {
+    await client.tui.showToast({
+      body: {
+        message,
+        variant: "error",
+      },
+    })
+  } catch (error) {
+    await safeLog(client, "debug", "Toast failed", { error: String(error) })
+  }
+}
+
+// Results are cached for cacheSeconds. Providers without an OpenAI-compatible
+// endpoint cannot be checked and count as healthy.
+async function checkFallbackHealth({ state, client, model }) {
+  const healthCheck = state.config.healthCheck
+  if (!healthCheck?.enabled || !model) return { ok: true }
+
+  const key = modelToString(model)
+  const now = Date.now()
+  const cacheMs = Math.max(0, Number(healthCheck.cacheSeconds ?? 60)) * 1000
+  const cached = state.healthCache.get(key)
+  if (cached && now - cached.checkedAt < cacheMs) return cached
+
+  const endpoint = await getProviderEndpoint(client, state.config, model.providerId)
+  if (!endpoint) return { ok: true }
+
+  const result = { ...(await probeModelsEndpoint(endpoint, model, healthCheck)), checkedAt: now }
+  state.healthCache.set(key, result)
+  if (!result.ok) {
+    await safeLog(client, "warn", "Fallback health check failed", { model: key, reason: result.reason })
+  }
+  return result
+}
+
+async function getProviderEndpoint(client, config, providerId) {
+  const override = config.healthCheck?.providers?.[providerId]
+  if (override?.baseURL) return { baseURL: override.baseURL, apiKey: override.apiKey }
+
+  const providers = await getProviders(client)
+  const entry = providers.find(
+    (provider) => (provider.id || provider.providerID || provider.name) === providerId
+  )
+  let baseURL = entry?.options?.baseURL
+  let apiKey = entry?.options?.apiKey
+  let npm = entry?.npm
+
+  if (!baseURL) {
+    const configured = (await getOpenCodeConfig(client))?.provider?.[providerId]
+    baseURL = configured?.options?.baseURL
+    apiKey = apiKey || configured?.options?.apiKey
+    npm = npm || configured?.npm
+  }
+
+  if (!baseURL) return null
+  if (npm && npm !== "@ai-sdk/openai-compatible") return null
+  return { baseURL, apiKey }
+}
+
+async function getOpenCodeConfig(client) {
+  try {
+    const response = await client.config.get()
+    return response?.data ?? response
+  } catch {
+    return null
+  }
+}
+
+async function probeModelsEndpoint(endpoint, model, healthCheck) {
+  const base = String(endpoint.baseURL).replace(/\/+$/, "")
+  const url = /\/v\d+$/.test(base) ? `${base}/models` : `${base}/v1/models`
+  const timeoutMs = Math.max(1, Number(healthCheck.timeoutSeconds || 5)) * 1000
+  const headers = endpoint.apiKey ? { Authorization: `Bearer ${endpoint.apiKey}` } : {}
+
+  let response
+  try {
+    response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) })
+  } catch (error) {
+    return { ok: false, reason: `unreachable at ${url} (${error?.name || "Error"})` }
+  }
+  if (!response.ok) return { ok: false, reason: `HTTP ${response.status} from ${url}` }
+
+  let payload
+  try {
+    payload = await response.json()
+  } catch {
+    return { ok: false, reason: `invalid JSON from ${url}` }
+  }
+
+  // OpenAI uses data[].id; llama.cpp and Ollama also list models[].name or models[].model.
+  const listed = [...(payload?.data || []), ...(payload?.models || [])]
+    .flatMap((entry) => [entry?.id, entry?.name, entry?.model])
+    .filter(Boolean)
+  if (!listed.includes(model.modelId)) {
+    return { ok: false, reason: `model ${model.modelId} is not listed` }
+  }
+  return { ok: true }
+}
+
+// Picks the model a prompt should use instead of `model`, or null to let it through.
+// A half-open breaker lets one trial session reach the provider at a time.
+async function routeAroundBreakers({ state, client, sessionId, model, agent }) {
+  if (!state.stateData) return null
+
+  const now = Date.now()
+  const status = getProviderStatus(state, model.providerId, now)
+  if (status === "closed") return null
+
+  if (status === "half-open") {
+    const breaker = state.stateData.breakers[model.providerId]
+    const trialTimeoutMs = Math.max(1, Number(state.config.breaker.trialTimeoutMinutes || 10)) * 60 * 1000
+    const trialStale = now - Number(breaker.trialStartedAt || 0) > trialTimeoutMs
+    if (breaker.trialSessionId === sessionId && !trialStale) return null
+    if (!breaker.trialSessionId || trialStale) {
+      breaker.state = "half-open"
+      breaker.trialSessionId = sessionId
+      breaker.trialStartedAt = now
+      await saveState(state.statePath, state.stateData, client)
+      await safeLog(client, "info", "Breaker half-open; sending trial request", {
+        provider: model.providerId,
+        sessionId,
+      })
+      return null
+    }
+  }
+
+  const record = state.stateData.sessions[sessionId]
+  if (record?.pinned) return null
+  const { chain, rule } = resolveSessionChain({ config: state.config, sessionModel: model, agent, record })
+  if (chain.some((entry) => !entry)) return null
+  const currentTier = resolveSessionTier(chain, model, null)
+  if (currentTier === -1) return null
+
+  const { tier } = await selectHealthyTier({ state, client, chain, start: currentTier + 1 })
+  if (tier === -1) return null
+
+  // Later prompts of an already redirected session keep the original record.
+  if (!record || record.restoredAt || getRecordTier(record) !== tier) {
+    await recordSessionFallback({
+      state,
+      client,
+      sessionId,
+      chain,
+      sessionModel: model,
+      currentTier,
+      tier,
+      extra: {
+        redirectedBy: "breaker",
+        ...(rule ? { mapping: describeRule(rule, agent) } : {}),
+      },
+    })
+    await saveState(state.statePath, state.stateData, client)
+    await safeLog(client, "info", "Breaker open; redirecting prompt", {
+      sessionId,
+      from: model,
+      to: chain[tier],
+    })
+  }
+
+  return chain[tier]
+}
+
+async function closeBreakerOnSuccess({ state, client, event }) {
+  const info = event?.properties?.info
+  if (!info || info.role !== "assistant" || info.error || !info.time?.completed) return
+
+  // Only the half-open trial's reply closes the breaker; a reply that was already in
+  // flight when the breaker tripped says nothing about the provider now.
+  const provider = info.providerID
+  if (!state.stateData || getBreakerStatus(state, provider) !== "half-open") return
+  if (state.stateData.breakers[provider].trialSessionId !== info.sessionID) return
+
+  state.stateData.breakers[provider] = { state: "closed", closedAt: Date.now() }
+  await saveState(state.statePath, state.stateData, client)
+  await safeLog(client, "info", "Breaker closed; provider is answering again", {
+    provider,
+    sessionId: info.sessionID,
+  })
+}
+
+// Adds each completed assistant message to its provider's usage for the current period.
+async function trackUsage({ state, client, event }) {
+  const budgets = state.config.budgets
+  if (!budgets?.enabled || !state.stateData) return
+
+  const info = event?.properties?.info
+  if (!info || info.role !== "assistant" || !info.time?.completed || !info.providerID) return
+  const now = Date.now()
+  if (!info.id || !markCounted(state, info.sessionID, info.id, now)) return
+
+  const provider = info.providerID
+  const modelName = `${provider}/${info.modelID}`
+  const tokens = info.tokens || {}
+  const total =
+    Number(tokens.input || 0) +
+    Number(tokens.output || 0) +
+    Number(tokens.reasoning || 0) +
+    Number(tokens.cache?.read || 0) +
+    Number(tokens.cache?.write || 0)
+  const cost = getMessageCost(budgets.prices, modelName, tokens, info.cost)
+
+  const usage = getProviderUsage(state, provider, now)
+  usage.tokens += total
+  usage.cost += cost
+  const modelUsage = usage.models[info.modelID] || (usage.models[info.modelID] = { tokens: 0, cost: 0 })
+  modelUsage.tokens += total
+  modelUsage.cost += cost
+
+  await checkBudget({ state, client, provider, usage })
+  await saveState(state.statePath, state.stateData, client)
+}
+
+// Keeps the last few ids per session, and drops sessions idle for a day, so the
+// memory stays bounded in long-lived processes. Returns false for a repeat.
+function markCounted(state, sessionId, messageId, now) {
+  let counted = state.countedMessages.get(sessionId)
+  if (counted?.ids.has(messageId)) return false
+  if (!counted) {
+    for (const [id, other] of state.countedMessages) {
+      if (now - other.lastAt > DAY_MS) state.countedMessages.delete(id)
+    }
+    counted = { ids: new Set(), lastAt: now }
+    state.countedMessages.set(sessionId, counted)
+  }
+  counted.ids.add(messageId)
+  counted.lastAt = now
+  if (counted.ids.size > COUNTED_MESSAGES_PER_SESSION) counted.ids.delete(counted.ids.values().next().value)
+  return true
+}
+
+// Configured prices win; otherwise trust the cost OpenCode computed for the message.
+function getMessageCost(prices, modelName, tokens, reportedCost) {
+  const key = Object.keys(prices || {}).find((pattern) => matchesPattern(pattern, modelName))
+  if (!key) return Number(reportedCost || 0)
+
+  const price = prices[key] || {}
+  const perToken = (value) => Number(value || 0) / 1_000_000
+  return (
+    Number(tokens.input || 0) * perToken(price.input) +
+    Number(tokens.output || 0) * perToken(price.output) +
+    Number(tokens.reasoning || 0) * perToken(price.reasoning ?? price.output) +
+    Number(tokens.cache?.read || 0) * perToken(price.cacheRead ?? price.input) +
+    Number(tokens.cache?.write || 0) * perToken(price.cacheWrite ?? price.input)
+  )
+}
+
+// Returns the provider's usage record, starting a fresh one when the period rolled over.
+function getProviderUsage(state, provider, now) {
+  const budget = state.config.budgets.providers?.[provider]
+  const periodStart = getBudgetPeriodStart(budget, now)
+  const usage = state.stateData.usage[provider]
+  if (usage && usage.periodStart === periodStart) return usage
+
+  state.stateData.usage[provider] = { periodStart, tokens: 0, cost: 0, models: {} }
+  return state.stateData.usage[provider]
+}
+
+// Periods use local time: "daily", "monthly" (on resetDay), or "cycle" (cycleDays from cycleStart).
+function getBudgetPeriodStart(budget, now) {
+  const date = new Date(now)
+  const period = budget?.period || "monthly"
+
+  if (period === "daily") {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+  }
+
+  if (period === "cycle") {
+    const start = Date.parse(budget.cycleStart || "")
+    const lengthMs = Math.max(1, Number(budget.cycleDays || 30)) * DAY_MS
+    if (Number.isFinite(start)) {
+      return start + Math.floor((now - start) / lengthMs) * lengthMs
+    }
+  }
+
+  const resetDay = Math.min(28, Math.max(1, Number(budget?.resetDay || 1)))
+  const thisMonth = new Date(date.getFullYear(), date.getMonth(), resetDay).getTime()
+  if (now >= thisMonth) return thisMonth
+  return new Date(date.getFullYear(), date.getMonth() - 1, resetDay).getTime()
+}
+
+// Highest share of any configured limit, or 0 when the provider has no budget.
+function getBudgetRatio(budget, usage) {
+  if (!budget || !usage) return 0
+  const ratios = []
+  if (Number(budget.limitCost) > 0) ratios.push(usage.cost / Number(budget.limitCost))
+  if (Number(budget.limitTokens) > 0) ratios.push(usage.tokens / Number(budget.limitTokens))
+  return ratios.length ? Math.max(...ratios) : 0
+}
+
+function isOverBudget(state, provider, now) {
+  const budgets = state.config?.budgets
+  if (!budgets?.enabled || !state.stateData?.usage) return false
+
+  const budget = budgets.providers?.[provider]
+  const usage = state.stateData.usage[provider]
+  if (!budget || !usage || usage.periodStart !== getBudgetPeriodStart(budget, now)) return false
+  return getBudgetRatio(budget, usage) >= Number(budgets.switchAt || 0.95)
+}
+
+// Warns once per period at warnAt and again when switchAt starts routing around the provider.
+async function checkBudget({ state, client, provider, usage }) {
+  const budgets = state.config.budgets
+  const ratio = getBudgetRatio(budgets.providers?.[provider], usage)
+  const percent = Math.round(ratio * 100)
+
+  let message = null
+  if (ratio >= Number(budgets.switchAt || 0.95) && !usage.switchedAt) {
+    usage.switchedAt = Date.now()
+    usage.warnedAt = usage.warnedAt || usage.switchedAt
+    message = `${provider} budget ${percent}% used. Switching new prompts to fallback.`
+    await safeLog(client, "info", "Budget threshold reached; routing around provider", {
+      provider,
+      ratio,
+    })
+  } else if (ratio >= Number(budgets.warnAt || 0.8) && !usage.warnedAt) {
+    usage.warnedAt = Date.now()
+    message = `${provider} budget ${percent}% used.`
+  }
+
+  if (!message || !state.config.notifications?.toastOnBudget) return
+  try {
+    await client.tui.showToast({
+      body: {
+        message,
+        variant: "warning",
+      },
+    })
+  } catch (error) {
+    await safeLog(client, "debug", "Budget toast failed", { error: String(error) })
+  }
+}
+
+// A restore also lifts the retry guard's tier, so the session can fall back again.
+function applyRestoreStep(record, tier, model, now) {
+  record.tier = tier
+  record.lastRestoreAt = now
+  delete record.restoreRequestedAt
+  if (record.retry) delete record.retry.tier
+  if (tier === 0) {
+    record.restoredAt = now
+  } else {
+    record.fallbackModel = modelToString(model)
+  }
+}
+
+// Polls every provider in quota.providers now, then every intervalMinutes.
+function scheduleQuotaPolls({ state, client }) {
+  if (state.quotaTimer) clearInterval(state.quotaTimer)
+  state.quotaTimer = null
+  const quota = state.config?.quota
+  if (state.dryRun || !state.config?.enabled || !quota?.enabled) return
+  if (!Object.keys(quota.providers || {}).length) return
+
+  const intervalMs = Math.max(1, Number(quota.intervalMinutes || 5)) * 60 * 1000
+  state.quotaTimer = setInterval(() => {
+    void pollQuotas({ state, client })
+  }, intervalMs)
+  state.quotaTimer.unref?.()
+
+  void pollQuotas({ state, client })
+}
+
+// Stores each provider's remaining quota in state, where fallback routing and restore
+// checks read it. A provider at or below minRemaining is routed around from the next
+// prompt on, before its quota actually runs out.
+async function pollQuotas({ state, client }) {
+  const quota = state.config.quota
+  const timeoutMs = Math.max(1, Number(quota.timeoutSeconds || 10)) * 1000
+
+  for (const [provider, source] of Object.entries(quota.providers || {})) {
+    const wasLow = isQuotaLow(state, provider)
+    let result
+    try {
+      const endpoint =
+        QUOTA_ADAPTERS[source.adapter]?.needsEndpoint && !source.url
+          ? await getProviderEndpoint(client, state.config, provider)
+          : null
+      result = await pollQuota(source, { endpoint, timeoutMs })
+    } catch (error) {
+      await safeLog(client, "warn", "Quota poll failed", { provider, error: String(error?.message || error) })
+      continue
+    }
+
+    const polled = state.stateData.quota || (state.stateData.quota = {})
+    polled[provider] = { remaining: result.remaining, limit: result.limit ?? null, checkedAt: Date.now() }
+    await safeLog(client, "debug", "Polled quota", { provider, ...polled[provider] })
+    if (isQuotaLow(state, provider)) {
+      if (!wasLow) await reportLowQuota({ state, client, provider })
+    } else {
+      await halfOpenBreakerOnQuota({ state, client, provider })
+    }
+  }
+
+  await saveState(state.statePath, state.stateData, client)
+
+  // Sessions waiting on a provider that has quota again need not wait for the interval.
+  if (state.config.restore?.enabled) {
+    await runRestoreCheck({ state, client, intervalMs: getRestoreIntervalMs(state.config) })
+  }
+}
+
+// Quota the provider reports having back beats waiting out the breaker's restore
+// window: the breaker goes half-open, so restores and one trial prompt reach it again.
+async function halfOpenBreakerOnQuota({ state, client, provider }) {
+  if (getBreakerStatus(state, provider) !== "open") return
+  const breaker = state.stateData.breakers[provider]
+  breaker.state = "half-open"
+  delete breaker.trialSessionId
+  delete breaker.trialStartedAt
+  await safeLog(client, "info", "Breaker half-open; polled quota is back", {
+    provider,
+    remaining: getPolledQuota(state, provider).remaining,
+  })
+}
+
+async function reportLowQuota({ state, client, provider }) {
+  const { remaining } = getPolledQuota(state, provider)
+  await safeLog(client, "info", "Quota low; routing around provider", { provider, remaining })
+  if (!state.config.notifications?.toastOnBudget) return
+  try {
+    await client.tui.showToast({
+      body: {
+        message: `${provider} has ${remaining} quota left. Switching new prompts to fallback.`,
+        variant: "warning",
+      },
+    })
+  } catch (error) {
+    await safeLog(client, "debug", "Quota toast failed", { error: String(error) })
+  }
+}
+
+// The last polled quota for a provider that quota.providers still lists, or null.
+function getPolledQuota(state, provider) {
+  const quota = state.config?.quota
+  if (!quota?.enabled || !quota.providers?.[provider]) return null
+  const polled = state.stateData?.quota?.[provider]
+  return typeof polled?.remaining === "number" ? polled : null
+}
+
+function isQuotaLow(state, provider) {
+  const polled = getPolledQuota(state, provider)
+  if (!polled) return false
+  return polled.remaining <= Number(state.config.quota.providers[provider].minRemaining ?? 0)
+}
+
+// Only a poll after the session left the provider counts, so a result from before
+// the exhaustion cannot send the session straight back.
+function hasQuotaForRestore(state, record, intervalMs) {
+  const { targetModel } = getRestoreStep(state.config, record, intervalMs)
+  if (!targetModel) return false
+  const polled = getPolledQuota(state, targetModel.providerId)
+  const since = Math.max(
+    Number(record.lastRestoreAt || 0),
+    Number(record.lastFallbackAt || record.exhaustedAt || 0)
+  )
+  return Boolean(polled) && polled.checkedAt > since && !isQuotaLow(state, targetModel.providerId)
+}
+
+// The first routing window open at `now`, or null.
+function getOpenWindow(config, now) {
+  if (!config?.enabled) return null
+  return (config.routing?.windows || []).find((window) => isWindowOpen(window, now)) || null
+}
+
+// Checks once a minute which window is open. Reloads and startup check at once, so
+// sessions left on a window model by a window that has since closed are moved back.
+function scheduleRoutingWindows({ state, client }) {
+  if (state.windowTimer) clearInterval(state.windowTimer)
+  state.windowTimer = null
+  if (state.dryRun) return
+
+  if (state.config?.enabled && state.config.routing?.windows?.length) {
+    state.windowTimer = setInterval(() => {
+      void checkRoutingWindows({ state, client })
+    }, 60 * 1000)
+    state.windowTimer.unref?.()
+  }
+  void checkRoutingWindows({ state, client })
+}
+
+async function checkRoutingWindows({ state, client }) {
+  const window = getOpenWindow(state.config, Date.now())
+  const name = window?.name ?? null
+  if (name === state.openWindow) return
+
+  const previous = state.openWindow
+  state.openWindow = name
+  const moved = await leaveRoutingWindows({ state, client, keep: name })
+  await safeLog(client, "info", "Routing window changed", { from: previous ?? null, to: name, moved })
+
+  // A plugin that starts outside every window has nothing to announce.
+  if (previous === undefined && !name) return
+  if (!state.config.notifications?.toastOnWindow) return
+  const message = name
+    ? `Routing window "${name}" started. New prompts use ${window.model}.`
+    : `Routing window "${previous}" ended.${moved ? ` Moved ${moved} session(s) back to their models.` : ""}`
+  try {
+    await client.tui.showToast({
+      body: {
+        message,
+        variant: "info",
+      },
+    })
+  } catch (error) {
+    await safeLog(client, "debug", "Window toast failed", { error: String(error) })
+  }
+}
+
+// Moves a prompt to the open window's model with setSessionModel, and records the
+// session's own model in state so the window can be undone when it closes.
+async function applyRoutingWindow({ state, client, sessionId, model }) {
+  const window = getOpenWindow(state.config, Date.now())
+  if (!window || !state.stateData) return null
+
+  const routing = state.stateData.routing || (state.stateData.routing = {})
+  const entry = routing[sessionId]
+  if (entry?.optedOut || state.stateData.sessions[sessionId]?.pinned) return null
+  const target = parseModel(window.model)
+  if (modelsEqual(model, target)) return null
+  // The user picked another model during this window; leave it alone.
+  if (entry?.window === window.name) return null
+  if (window.models && !toList(window.models).some((pattern) => matchesPattern(pattern, modelToString(model)))) {
+    return null
+  }
+  // A tripped, over-budget or out-of-quota provider sits the window out; the prompt
+  // then goes through the breaker routing like any other.
+  if (getProviderStatus(state, target.providerId) === "open") {
+    await safeLog(client, "debug", "Routing window skipped; its provider is unavailable", {
+      sessionId,
+      window: window.name,
+      provider: target.providerId,
+    })
+    return null
+  }
+
+  if (state.dryRun) {
+    await safeLog(client, "info", "Dry run: would apply routing window", {
+      sessionId,
+      window: window.name,
+      from: model,
+    })
+    return null
+  }
+  if (!(await setSessionModel(client, sessionId, target))) return null
+
+  routing[sessionId] = {
+    window: window.name,
+    model: modelToString(target),
+    // A session moved straight from one window to the next goes back to its own model.
+    originalModel: entry?.originalModel || modelToString(model),
+    appliedAt: Date.now(),
+  }
+  await saveState(state.statePath, state.stateData, client)
+  await safeLog(client, "info", "Routing window applied", {
+    sessionId,
+    window: window.name,
+    from: model,
+    to: target,
+  })
+  return target
+}
+
+// Moves sessions routed by any window other than `keep` back to their own models.
+// Sessions the user moved off the window model meanwhile are only forgotten.
+async function leaveRoutingWindows({ state, client, keep }) {
+  const routing = state.stateData?.routing || {}
+  const left = Object.entries(routing).filter(([, entry]) => entry?.window && entry.window !== keep)
+  let moved = 0
+  for (const [sessionId, entry] of left) {
+    if (await undoRoutingWindow({ client, sessionId, entry })) moved += 1
+    delete routing[sessionId]
+  }
+  if (left.length) await saveState(state.statePath, state.stateData, client)
+  return moved
+}
+
+async function undoRoutingWindow({ client, sessionId, entry }) {
+  const current = await getSessionModel(client, sessionId)
+  if (!current || modelToString(current) !== entry.model) return false
+  return setSessionModel(client, sessionId, parseModel(entry.originalModel))
+}
+
+// The per-session override: windows skip the session until it is turned back on.
+async function toggleRoutingWindows({ state, client, sessionId }) {
+  const routing = state.stateData.routing || (state.stateData.routing = {})
+  const entry = routing[sessionId]
+  if (entry?.optedOut) {
+    delete routing[sessionId]
+    await saveState(state.statePath, state.stateData, client)
+    return "Routing windows apply to this session again from its next prompt."
+  }
+
+  const movedBack = entry?.window ? await undoRoutingWindow({ client, sessionId, entry }) : false
+  routing[sessionId] = { optedOut: true, optedOutAt: Date.now() }
+  await saveState(state.statePath, state.stateData, client)
+  const suffix = movedBack ? ` Switched back to ${entry.originalModel}.` : ""
+  return `Routing windows are off for this session.${suffix}`
 }
@@ -0,0 +1,914 @@
+import path from "node:path"
+import {
+  env,
+  fileExists,
+  getModifiedTime,
+  linkFile,
+  readText,
+  removeFile,
+  renameFile,
+  writeText,
+} from "./runtime.js"
+import { CONFIG_SCHEMA, SCHEMA_URL } from "./schema.js"
+import { validateConfig } from "./validate.js"
+
+// Config and state file handling shared by the plugin and the CLI.
+
+export const DEFAULT_CONFIG = {
+  $schema: SCHEMA_URL,
+  enabled: true,
+  // Log every decision without switching models or writing state.
+  dryRun: false,
+  primaryModel: "azure-openai/<deployment-name>",
+  fallbackModel: "llama.cpp/qwen3-coder:a3b",
+  // Ordered tiers, primary first. Empty means [primaryModel, fallbackModel].
+  fallbackChain: [],
+  // Per-model/agent overrides, first match wins. "fallback" is a model or a list of tiers.
+  fallbackRules: [],
+  licensing: {
+    requireProviders: ["azure-openai", "github-copilot"],
+  },
+  restore: {
+    enabled: true,
+    intervalHours: 24,
+    // "interval" restores after intervalHours; "probe" restores only after a probe succeeds.
+    mode: "interval",
+    probe: {
+      prompt: "Reply with OK.",
+      intervalMinutes: 60,
+      maxBackoffHours: 24,
+      timeoutSeconds: 60,
+    },
+    // Reset schedules keyed by provider id. Sessions waiting on a provider with one
+    // are restored when it resets instead of after intervalHours.
+    resets: {},
+  },
+  fallback: {
+    onStatus: [402],
+    onErrorCodes: ["CREDITS_EXHAUSTED", "ACCOUNT_LIMIT_REACHED", "QUOTA_EXCEEDED", "insufficient_quota"],
+    onMessageMatches: ["credit", "quota", "insufficient", "payment", "billing"],
+  },
+  // Structured rules checked before the fallback/throttle lists; first match wins.
+  detection: {
+    rules: [],
+    // Conditions that veto every rule, e.g. { "message": "/context length/i" }.
+    exclude: [],
+  },
+  // Transient rate limits retry on the same model before falling back.
+  throttle: {
+    enabled: true,
+    onStatus: [429],
+    onErrorCodes: ["rate_limit_exceeded", "RATE_LIMITED"],
+    onMessageMatches: ["rate limit", "too many requests", "throttl"],
+    maxRetries: 3,
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 60,
+    windowMinutes: 10,
+  },
+  // Provider-wide breaker: one exhausted session routes every session around the provider.
+  breaker: {
+    enabled: true,
+    trialTimeoutMinutes: 10,
+  },
+  // Checks OpenAI-compatible fallbacks via GET <baseURL>/models before switching to them.
+  healthCheck: {
+    enabled: true,
+    timeoutSeconds: 5,
+    cacheSeconds: 60,
+    // Per-provider { baseURL, apiKey } overrides; otherwise read from the OpenCode config.
+    providers: {},
+  },
+  // How the failed turn is replayed on another model.
+  replay: {
+    revertFailedTurn: true,
+    adaptParts: true,
+    // Models that only take text, keyed by "provider/model" (wildcards allowed).
+    textOnlyModels: [],
+  },
+  // Per-session retry guard, kept in the state file so it survives restarts.
+  retry: {
+    // Fallbacks allowed per session within windowMinutes.
+    maxAttempts: 5,
+    windowMinutes: 60,
+    // A restored session does not fall back again until this has passed.
+    cooldownSeconds: 60,
+    // A fallback prompt that fails to send is retried with exponential backoff.
+    promptRetries: 3,
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 60,
+  },
+  // Shrinks the session before replaying onto a model with a smaller context window.
+  context: {
+    enabled: true,
+    // Context window in tokens keyed by "provider/model" (wildcards allowed); the
+    // provider catalog's limit is used for models not listed here.
+    limits: {},
+    reserveTokens: 4096,
+    charsPerToken: 4,
+    // "summarize" runs OpenCode's session summarize; "trim" drops older tool output.
+    strategy: "summarize",
+  },
+  // Local usage tracking; prices are USD per million tokens keyed by "provider/model" (wildcards allowed).
+  budgets: {
+    enabled: false,
+    warnAt: 0.8,
+    switchAt: 0.95,
+    providers: {},
+    prices: {},
+  },
+  // Polls provider quota endpoints; see quota.js for the adapters.
+  quota: {
+    enabled: false,
+    intervalMinutes: 5,
+    timeoutSeconds: 10,
+    providers: {},
+  },
+  // Time windows that move sessions to another model on purpose, e.g. a local model
+  // at night. The first open window wins.
+  routing: {
+    windows: [],
+  },
+  // Append-only JSONL log of exhaustions, fallbacks and restores, read by the report command.
+  history: {
+    enabled: true,
+  },
+  // Limits on the state file; the same pruning runs from `opencode-credit-switcher prune`.
+  state: {
+    // Restored records are dropped after this many days without activity.
+    retentionDays: 7,
+    // Records still on a fallback are dropped after this many idle days; 0 keeps them.
+    expireDays: 30,
+    // Oldest records go first once there are more than this many.
+    maxSessions: 500,
+  },
+  notifications: {
+    toastOnFallback: true,
+    toastOnRestore: true,
+    toastOnBudget: true,
+    confirmOnFallback: false,
+    toastOnWindow: true,
+    // Webhooks, shell commands and desktop notifications; see notify.js.
+    sinks: [],
+  },
+}
+
+export const SERVICE_NAME = "credit-switcher"
+
+// Per-key overrides look like OPENCODE_CREDIT_SWITCHER__RESTORE__INTERVAL_HOURS=12.
+export const ENV_OVERRIDE_PREFIX = "OPENCODE_CREDIT_SWITCHER__"
+
+export function getConfigPaths(directory, worktree) {
+  const paths = []
+  if (env.OPENCODE_CREDIT_SWITCHER_CONFIG) {
+    paths.push(env.OPENCODE_CREDIT_SWITCHER_CONFIG)
+  }
+  if (worktree) paths.push(`${worktree}/.opencode/credit-switcher.json`)
+  if (directory && directory !== worktree) {
+    paths.push(`${directory}/.opencode/credit-switcher.json`)
+  }
+  if (env.HOME) paths.push(`${env.HOME}/.config/opencode/credit-switcher.json`)
+  return paths
+}
+
+// State file is kept alongside config to avoid cross-project collisions.
+export function getStatePath(configPath, directory, worktree) {
+  if (configPath) return path.join(path.dirname(configPath), "credit-switcher.state.json")
+  if (worktree) return path.join(worktree, ".opencode", "credit-switcher.state.json")
+  if (directory) return path.join(directory, ".opencode", "credit-switcher.state.json")
+  if (env.HOME) return path.join(env.HOME, ".config", "opencode", "credit-switcher.state.json")
+  return null
+}
+
+// Config files from lowest to highest precedence. The launch directory overrides its
+// worktree, and the file named by OPENCODE_CREDIT_SWITCHER_CONFIG overrides both.
+export function getConfigLayers(directory, worktree) {
+  const layers = []
+  if (env.HOME) {
+    layers.push({ source: "global", path: `${env.HOME}/.config/opencode/credit-switcher.json` })
+  }
+  if (worktree) layers.push({ source: "project", path: `${worktree}/.opencode/credit-switcher.json` })
+  if (directory && directory !== worktree) {
+    layers.push({ source: "directory", path: `${directory}/.opencode/credit-switcher.json` })
+  }
+  if (env.OPENCODE_CREDIT_SWITCHER_CONFIG) {
+    layers.push({ source: "env file", path: env.OPENCODE_CREDIT_SWITCHER_CONFIG })
+  }
+
+  // The same file can be reached twice, e.g. a project inside the global config dir.
+  const seen = new Set()
+  return layers.filter((layer) => {
+    const key = path.resolve(layer.path)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+// Deep-merges every config file that exists, then env overrides, over the defaults.
+// `path` is the most specific file, where state is kept. `error` is set when a file
+// cannot be read or parsed, which disables the plugin; `problems` lists schema
+// violations, which do not. `sources` maps each effective key to its layer.
+export async function loadConfig(layers, client) {
+  const found = []
+
+  for (const layer of layers) {
+    if (!layer?.path) continue
+    let text = null
+    try {
+      if (!(await fileExists(layer.path))) continue
+      text = await readText(layer.path)
+      found.push({ ...layer, text, values: JSON.parse(text) })
+    } catch (error) {
+      await safeLog(client, "error", "Failed to load config", { path: layer.path, error: String(error) })
+      return {
+        config: { enabled: false },
+        path: layer.path,
+        text: JSON.stringify(found.map((entry) => entry.text).concat(text)),
+        files: found.map((entry) => entry.path).concat(layer.path),
+        problems: [],
+        error: `${layer.path}: ${String(error)}`,
+        sources: {},
+      }
+    }
+  }
+
+  const overrides = readEnvOverrides(env)
+  if (Object.keys(overrides.values).length) {
+    found.push({ source: "env", values: overrides.values, names: overrides.names })
+  }
+
+  const problems = [...overrides.problems]
+  for (const layer of found) {
+    for (const problem of validateConfig(layer.values)) {
+      problems.push({ ...problem, source: layer.path || layer.source })
+    }
+  }
+
+  const files = found.filter((layer) => layer.path)
+  if (!files.length) {
+    return { config: { enabled: false }, path: null, text: null, files: [], problems, error: null, sources: {} }
+  }
+
+  const raw = {}
+  for (const layer of found) mergeConfigLayer(raw, layer.values)
+  const config = normalizeConfig(raw)
+
+  return {
+    config,
+    path: getPrimaryConfigPath(files),
+    text: JSON.stringify(files.map((layer) => layer.text)),
+    files: files.map((layer) => layer.path),
+    problems,
+    error: null,
+    sources: getConfigSources(config, found),
+  }
+}
+
+// Keeps the state file where it was before layering: next to the env file, else the
+// project file, else the directory file, else the global one.
+function getPrimaryConfigPath(files) {
+  const order = ["env file", "project", "directory", "global"]
+  for (const source of order) {
+    const layer = files.find((entry) => entry.source === source)
+    if (layer) return layer.path
+  }
+  return files[files.length - 1].path
+}
+
+// Objects merge key by key; arrays and scalars replace what is below them.
+function mergeConfigLayer(target, values) {
+  if (!isPlainObject(values)) return target
+  for (const [key, value] of Object.entries(values)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeConfigLayer(target[key], value)
+    } else {
+      target[key] = isPlainObject(value) ? mergeConfigLayer({}, value) : value
+    }
+  }
+  return target
+}
+
+// Labels each leaf of the effective config with the highest layer that sets it.
+function getConfigSources(config, layers) {
+  const sources = {}
+  for (const { path: leafPath, keys } of getConfigLeaves(config)) {
+    const layer = [...layers].reverse().find((entry) => getPathValue(entry.values, keys) !== undefined)
+    if (!layer) sources[leafPath] = { source: "default" }
+    else if (layer.path) sources[leafPath] = { source: layer.source, path: layer.path }
+    else sources[leafPath] = { source: layer.source, env: findEnvName(layer.names, keys) }
+  }
+  return sources
+}
+
+// Flattens a config to its leaves; lists count as one value. Paths read like
+// restore.intervalHours or context.limits["llama.cpp/qwen"].
+export function getConfigLeaves(value, keys = [], leaves = []) {
+  if (isPlainObject(value) && Object.keys(value).length) {
+    for (const [key, entry] of Object.entries(value)) getConfigLeaves(entry, [...keys, key], leaves)
+    return leaves
+  }
+
+  const leafPath = keys.reduce(
+    (joined, key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? (joined ? `${joined}.${key}` : key) : `${joined}[${JSON.stringify(key)}]`),
+    ""
+  )
+  leaves.push({ path: leafPath, keys, value })
+  return leaves
+}
+
+// An override can set a whole object, so the nearest named ancestor wins.
+function findEnvName(names, keys) {
+  for (let length = keys.length; length > 0; length -= 1) {
+    const name = names[keys.slice(0, length).join(".")]
+    if (name) return name
+  }
+  return null
+}
+
+function getPathValue(value, keys) {
+  let current = value
+  for (const key of keys) {
+    if (!isPlainObject(current) || !(key in current)) return undefined
+    current = current[key]
+  }
+  return current
+}
+
+// Maps OPENCODE_CREDIT_SWITCHER__SECTION__KEY variables onto config keys by matching
+// schema names without case or underscores. Values are parsed as JSON when they can
+// be, so numbers, booleans and lists work; anything else is a string.
+export function readEnvOverrides(env) {
+  const values = {}
+  const names = {}
+  const problems = []
+
+  if (isTruthyEnv(env.OPENCODE_CREDIT_SWITCHER_DRY_RUN)) {
+    values.dryRun = true
+    names.dryRun = "OPENCODE_CREDIT_SWITCHER_DRY_RUN"
+  }
+
+  for (const [name, text] of Object.entries(env)) {
+    if (!name.startsWith(ENV_OVERRIDE_PREFIX) || text === undefined) continue
+    const segments = name.slice(ENV_OVERRIDE_PREFIX.length).split("__").filter(Boolean)
+    const keys = resolveEnvKeys(segments)
+    if (!keys) {
+      problems.push({ path: name, message: "does not match a config key", source: "env" })
+      continue
+    }
+
+    let value = text
+    try {
+      value = JSON.parse(text)
+    } catch {
+      // Plain strings such as model ids are used as they are.
+    }
+
+    let target = values
+    for (const key of keys.slice(0, -1)) {
+      if (!isPlainObject(target[key])) target[key] = {}
+      target = target[key]
+    }
+    target[keys[keys.length - 1]] = value
+    names[keys.join(".")] = name
+  }
+
+  return { values, names, problems }
+}
+
+function resolveEnvKeys(segments) {
+  const normalize = (value) => value.toLowerCase().replace(/_/g, "")
+  const keys = []
+  let schema = CONFIG_SCHEMA
+
+  for (const segment of segments) {
+    const properties = schema?.properties || {}
+    const key = Object.keys(properties).find((name) => normalize(name) === normalize(segment))
+    if (key) {
+      keys.push(key)
+      schema = properties[key]
+    } else if (isPlainObject(schema?.additionalProperties)) {
+      // Map keys such as provider ids are taken as written, in lower case.
+      keys.push(segment.toLowerCase())
+      schema = schema.additionalProperties
+    } else {
+      return null
+    }
+  }
+
+  return keys.length ? keys : null
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value)
+}
+
+export async function ensureConfigFile(paths, client) {
+  let hasConfig = false
+  for (const path of paths) {
+    if (!path) continue
+    if (await fileExists(path)) {
+      hasConfig = true
+      break
+    }
+  }
+
+  if (hasConfig) return
+
+  const target = paths.find(Boolean)
+  if (!target) return
+
+  try {
+    await writeText(target, JSON.stringify(DEFAULT_CONFIG, null, 2))
+    await safeLog(client, "info", "Created default config", { path: target })
+  } catch (error) {
+    await safeLog(client, "error", "Failed to create config", { path: target, error: String(error) })
+  }
+}
+
+// Several OpenCode processes can share one state file (e.g. the global config), so
+// writes go through a lock, merge with what is on disk, and replace the file atomically.
+const STATE_MAPS = ["sessions", "breakers", "usage", "quota", "routing"]
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Bump with an entry in STATE_MIGRATIONS whenever the state shape changes.
+export const STATE_VERSION = 3
+
+// Each migration upgrades state written at its key's version to the next one.
+const STATE_MIGRATIONS = {
+  // Files from before tiers, breakers and usage: a record was on the fallback until restored.
+  1: (data) => {
+    for (const record of Object.values(data.sessions || {})) {
+      if (record && typeof record === "object" && record.tier === undefined) {
+        record.tier = record.restoredAt ? 0 : 1
+      }
+    }
+    return { ...data, breakers: data.breakers || {}, usage: data.usage || {} }
+  },
+  // Polled quota and routing windows got their own maps. Records without a retry
+  // guard (sessions[*].retry) have not fallen back since, and need none.
+  2: (data) => ({ ...data, quota: data.quota || {}, routing: data.routing || {} }),
+}
+const LOCK_STALE_MS = 10 * 1000
+const LOCK_RETRY_MS = 25
+
+// Last state each process read or wrote, per state file; the merge base for saves.
+const stateBases = new Map()
+// Saves waiting to be retried after timing out on the lock, per state file.
+const retryTimers = new Map()
+// Text this process last wrote, per state file, so watchers can skip their own saves.
+const writtenTexts = new Map()
+
+export function createEmptyState() {
+  return {
+    version: STATE_VERSION,
+    sessions: {},
+    breakers: {},
+    usage: {},
+    quota: {},
+    routing: {},
+    lastCheckAt: 0,
+  }
+}
+
+export async function loadState(statePath, client) {
+  const empty = createEmptyState()
+  if (!statePath) return empty
+
+  try {
+    const raw = migrateState(await readStateFile(statePath))
+    if (Number(raw?.version) > STATE_VERSION) {
+      await safeLog(client, "warn", "State file was written by a newer version", {
+        path: statePath,
+        version: raw.version,
+        supported: STATE_VERSION,
+      })
+    }
+    const stateData = raw
+      ? {
+          ...empty,
+          ...raw,
+          sessions: raw.sessions || {},
+          breakers: raw.breakers || {},
+          usage: raw.usage || {},
+          quota: raw.quota || {},
+          routing: raw.routing || {},
+        }
+      : empty
+    stateBases.set(statePath, snapshotState(stateData))
+    return stateData
+  } catch (error) {
+    await safeLog(client, "error", "Failed to load state", { path: statePath, error: String(error) })
+    return empty
+  }
+}
+
+export async function ensureStateFile(statePath, client) {
+  if (!statePath) return
+  try {
+    // "wx" fails if another process created the file first, which is fine.
+    const initial = createEmptyState()
+    await writeText(statePath, JSON.stringify(initial, null, 2), { flag: "wx" })
+    await safeLog(client, "info", "Created state file", { path: statePath })
+  } catch (error) {
+    if (error?.code === "EEXIST") return
+    await safeLog(client, "error", "Failed to create state file", {
+      path: statePath,
+      error: String(error),
+    })
+  }
+}
+
+export async function saveState(statePath, stateData, client) {
+  await updateState(statePath, stateData, client)
+}
+
+// Merges the file into stateData under the lock, lets `update` change the merged
+// state, then writes it back. `update` returning false skips the write.
+export async function updateState(statePath, stateData, client, update) {
+  if (!statePath || !stateData) return false
+
+  try {
+    return await withStateLock(statePath, client, async () => {
+      const disk = migrateState(await readStateFile(statePath).catch(() => null))
+      if (disk) mergeState(stateData, disk, stateBases.get(statePath))
+      if (update && update(stateData) === false) {
+        if (disk) stateBases.set(statePath, snapshotState(disk))
+        return false
+      }
+      // The base is what was written: changes made while the write is pending are
+      // still unsaved, and the next merge must not mistake them for the file's.
+      const text = JSON.stringify(stateData, null, 2)
+      await writeFileAtomic(statePath, text)
+      writtenTexts.set(statePath, text)
+      stateBases.set(statePath, snapshotState(JSON.parse(text)))
+      return true
+    })
+  } catch (error) {
+    await safeLog(client, "error", "Failed to save state", { path: statePath, error: String(error) })
+    if (error?.code === "ELOCKED") retrySave(statePath, stateData, client)
+    return false
+  }
+}
+
+export function isOwnStateWrite(statePath, text) {
+  return writtenTexts.get(statePath) === text
+}
+
+// The changes stay in stateData, so a later save writes them; by then the lock has
+// been released or has gone stale.
+function retrySave(statePath, stateData, client) {
+  if (retryTimers.has(statePath)) return
+  const timer = setTimeout(() => {
+    retryTimers.delete(statePath)
+    void saveState(statePath, stateData, client)
+  }, LOCK_STALE_MS)
+  timer.unref?.()
+  retryTimers.set(statePath, timer)
+}
+
+// Files without a version predate versioning and count as version 1.
+export function migrateState(raw) {
+  if (!raw || typeof raw !== "object") return raw
+  let data = raw
+  let version = Number(data.version) || 1
+  while (version < STATE_VERSION && STATE_MIGRATIONS[version]) {
+    data = STATE_MIGRATIONS[version](data)
+    version += 1
+  }
+  return version === Number(raw.version) ? data : { ...data, version }
+}
+
+// Drops restored records past retentionDays, idle fallback records past expireDays,
+// then the oldest records beyond maxSessions. Pinned records only go to the cap.
+// `olderThanDays`, from the CLI, replaces retentionDays.
+export function pruneState(stateData, limits = {}, now = Date.now()) {
+  const sessions = stateData?.sessions || {}
+  const removed = []
+  const olderThan = limits.olderThanDays
+  const retentionMs = Number(olderThan ?? limits.retentionDays) * DAY_MS
+  const expireMs = Number(limits.expireDays) * DAY_MS
+
+  for (const [sessionId, record] of Object.entries(sessions)) {
+    if (record?.pinned) continue
+    const restored = getRecordTier(record) === 0
+    const limit = restored ? retentionMs : expireMs
+    // A limit of 0 keeps records, except --older-than 0, which drops every restored one.
+    const expired = limit > 0 ? now - getRecordActivity(record) > limit : restored && olderThan !== undefined
+    if (expired) {
+      delete sessions[sessionId]
+      removed.push(sessionId)
+    }
+  }
+
+  const maxSessions = Number(limits.maxSessions)
+  const ids = Object.keys(sessions)
+  if (maxSessions > 0 && ids.length > maxSessions) {
+    const oldest = ids.sort((a, b) => {
+      const pinned = Number(Boolean(sessions[a]?.pinned)) - Number(Boolean(sessions[b]?.pinned))
+      return pinned || getRecordActivity(sessions[a]) - getRecordActivity(sessions[b])
+    })
+    for (const sessionId of oldest.slice(0, ids.length - maxSessions)) {
+      delete sessions[sessionId]
+      removed.push(sessionId)
+    }
+  }
+
+  return removed
+}
+
+function getRecordActivity(record) {
+  const times = [
+    record?.exhaustedAt,
+    record?.lastFallbackAt,
+    record?.lastRestoreAt,
+    record?.lastRestoreAttemptAt,
+    record?.restoredAt,
+    record?.lastProbeAt,
+    record?.pinnedAt,
+    record?.restoreRequestedAt,
+    record?.retry?.lastAt,
+  ]
+  return Math.max(0, ...times.map((value) => Number(value) || 0))
+}
+
+async function readStateFile(statePath) {
+  try {
+    return JSON.parse(await readText(statePath))
+  } catch (error) {
+    if (error?.code === "ENOENT") return null
+    throw error
+  }
+}
+
+// Three-way merge per record: entries this process changed since its base win,
+// everything else follows the file. lastCheckAt only moves forward.
+function mergeState(ours, disk, base) {
+  for (const key of STATE_MAPS) {
+    const mine = ours[key] || (ours[key] = {})
+    const theirs = disk[key] || {}
+    const before = base?.[key] || {}
+    const ids = new Set([...Object.keys(mine), ...Object.keys(theirs), ...Object.keys(before)])
+
+    for (const id of ids) {
+      const oursChanged = JSON.stringify(mine[id]) !== before[id]
+      const theirsChanged = JSON.stringify(theirs[id]) !== before[id]
+      // A record we deleted but another process updated since is kept.
+      if (oursChanged && !(mine[id] === undefined && theirsChanged)) continue
+      if (theirs[id] === undefined) delete mine[id]
+      else mine[id] = theirs[id]
+    }
+  }
+
+  for (const [key, value] of Object.entries(disk)) {
+    if (STATE_MAPS.includes(key) || key === "lastCheckAt") continue
+    if (JSON.stringify(ours[key]) === base?.top?.[key]) ours[key] = value
+  }
+
+  ours.lastCheckAt = Math.max(Number(ours.lastCheckAt || 0), Number(disk.lastCheckAt || 0))
+}
+
+function snapshotState(stateData) {
+  const snapshot = { top: {} }
+  for (const key of STATE_MAPS) {
+    snapshot[key] = {}
+    for (const [id, value] of Object.entries(stateData[key] || {})) {
+      snapshot[key][id] = JSON.stringify(value)
+    }
+  }
+  for (const [key, value] of Object.entries(stateData)) {
+    if (!STATE_MAPS.includes(key)) snapshot.top[key] = JSON.stringify(value)
+  }
+  return snapshot
+}
+
+// Readers never see a half-written file: write a sibling temp file, then rename.
+async function writeFileAtomic(filePath, text) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now().toString(36)}.tmp`
+  try {
+    await writeText(tempPath, text)
+    await renameFile(tempPath, filePath)
+  } catch (error) {
+    await removeFile(tempPath).catch(() => {})
+    throw error
+  }
+}
+
+async function withStateLock(statePath, client, run) {
+  const lockPath = `${statePath}.lock`
+  await acquireLock(lockPath, client)
+  try {
+    return await run()
+  } finally {
+    await removeFile(lockPath).catch(() => {})
+  }
+}
+
+// Waits for the lock; one left behind by a crashed or hung process is broken.
+// Throws ELOCKED when it cannot be had, since writing unlocked would undo the merge.
+async function acquireLock(lockPath, client) {
+  const deadline = Date.now() + LOCK_STALE_MS * 2
+
+  while (true) {
+    try {
+      await writeText(lockPath, JSON.stringify({ pid: process.pid, at: Date.now() }), { flag: "wx" })
+      return
+    } catch (error) {
+      if (error?.code !== "EEXIST") throw error
+    }
+
+    const stale = await readStaleLock(lockPath)
+    if (stale !== null && (await breakLock(lockPath, stale))) {
+      await safeLog(client, "warn", "Removed stale state lock", { path: lockPath })
+      continue
+    }
+
+    if (Date.now() > deadline) {
+      const error = new Error(`Timed out waiting for state lock ${lockPath}`)
+      error.code = "ELOCKED"
+      throw error
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS))
+  }
+}
+
+// Returns the lock's contents when it is stale, otherwise null.
+async function readStaleLock(lockPath) {
+  let text = null
+  let modifiedAt = 0
+  try {
+    modifiedAt = await getModifiedTime(lockPath)
+    text = await readText(lockPath)
+  } catch {
+    return null
+  }
+
+  let holder = null
+  try {
+    holder = JSON.parse(text)
+  } catch {
+    // Caught mid-write; only an old unreadable lock is stale.
+  }
+
+  if (Date.now() - Number(holder?.at || modifiedAt) > LOCK_STALE_MS) return text
+  const pid = Number(holder?.pid)
+  if (!pid || pid === process.pid) return null
+  try {
+    process.kill(pid, 0)
+    return null
+  } catch (error) {
+    return error?.code === "ESRCH" ? text : null
+  }
+}
+
+// Moves the lock aside before deleting it, so two processes breaking the same stale
+// lock cannot delete a fresh one taken in between; a fresh one is put back.
+async function breakLock(lockPath, staleText) {
+  const movedPath = `${lockPath}.${process.pid}.stale`
+  try {
+    await renameFile(lockPath, movedPath)
+  } catch {
+    return false
+  }
+
+  const moved = await readText(movedPath).catch(() => null)
+  const broken = moved === staleText
+  if (!broken) await linkFile(movedPath, lockPath).catch(() => {})
+  await removeFile(movedPath).catch(() => {})
+  return broken
+}
+
+export function normalizeConfig(raw) {
+  const merged = {
+    ...DEFAULT_CONFIG,
+    ...raw,
+    licensing: { ...DEFAULT_CONFIG.licensing, ...(raw.licensing || {}) },
+    restore: {
+      ...DEFAULT_CONFIG.restore,
+      ...(raw.restore || {}),
+      probe: { ...DEFAULT_CONFIG.restore.probe, ...(raw.restore?.probe || {}) },
+    },
+    fallback: { ...DEFAULT_CONFIG.fallback, ...(raw.fallback || {}) },
+    throttle: { ...DEFAULT_CONFIG.throttle, ...(raw.throttle || {}) },
+    breaker: { ...DEFAULT_CONFIG.breaker, ...(raw.breaker || {}) },
+    budgets: { ...DEFAULT_CONFIG.budgets, ...(raw.budgets || {}) },
+    quota: { ...DEFAULT_CONFIG.quota, ...(raw.quota || {}) },
+    routing: { ...DEFAULT_CONFIG.routing, ...(raw.routing || {}) },
+    healthCheck: { ...DEFAULT_CONFIG.healthCheck, ...(raw.healthCheck || {}) },
+    context: { ...DEFAULT_CONFIG.context, ...(raw.context || {}) },
+    replay: { ...DEFAULT_CONFIG.replay, ...(raw.replay || {}) },
+    retry: { ...DEFAULT_CONFIG.retry, ...(raw.retry || {}) },
+    history: { ...DEFAULT_CONFIG.history, ...(raw.history || {}) },
+    state: { ...DEFAULT_CONFIG.state, ...(raw.state || {}) },
+    notifications: { ...DEFAULT_CONFIG.notifications, ...(raw.notifications || {}) },
+  }
+
+  merged.licensing.requireProviders = normalizeArray(
+    merged.licensing.requireProviders,
+    DEFAULT_CONFIG.licensing.requireProviders
+  )
+
+  merged.fallbackChain = normalizeArray(merged.fallbackChain, DEFAULT_CONFIG.fallbackChain)
+  merged.fallbackRules = normalizeArray(merged.fallbackRules, DEFAULT_CONFIG.fallbackRules)
+    .map((rule, index) => ({
+      ...(rule && typeof rule === "object" ? rule : {}),
+      index,
+      fallback: normalizeArray(
+        typeof rule?.fallback === "string" ? [rule.fallback] : rule?.fallback,
+        []
+      ),
+    }))
+    .filter((rule) => rule.fallback.length)
+
+  merged.routing.windows = normalizeArray(merged.routing.windows, []).filter(
+    (window) => window?.name && parseModel(window.model)
+  )
+
+  // Sinks without a known type are dropped; the validator reports them.
+  merged.notifications.sinks = normalizeArray(merged.notifications.sinks, []).filter(
+    (sink) => ["webhook", "command", "desktop"].includes(sink?.type)
+  )
+
+  merged.replay.textOnlyModels = normalizeArray(
+    merged.replay.textOnlyModels,
+    DEFAULT_CONFIG.replay.textOnlyModels
+  )
+
+  merged.fallback.onStatus = normalizeArray(merged.fallback.onStatus, DEFAULT_CONFIG.fallback.onStatus)
+  merged.fallback.onErrorCodes = normalizeArray(
+    merged.fallback.onErrorCodes,
+    DEFAULT_CONFIG.fallback.onErrorCodes
+  )
+  merged.fallback.onMessageMatches = normalizeArray(
+    merged.fallback.onMessageMatches,
+    DEFAULT_CONFIG.fallback.onMessageMatches
+  )
+
+  merged.detection = { ...DEFAULT_CONFIG.detection, ...(raw.detection || {}) }
+  merged.detection.exclude = normalizeArray(merged.detection.exclude, DEFAULT_CONFIG.detection.exclude)
+  merged.detection.rules = normalizeArray(merged.detection.rules, DEFAULT_CONFIG.detection.rules)
+    .filter((rule) => rule && typeof rule === "object")
+    .map((rule, index) => ({
+      ...rule,
+      name: rule.name || `detection.rules[${index}]`,
+      kind: rule.kind === "throttled" ? "throttled" : "exhausted",
+      providers: normalizeArray(typeof rule.providers === "string" ? [rule.providers] : rule.providers, []),
+    }))
+
+  merged.throttle.onStatus = normalizeArray(merged.throttle.onStatus, DEFAULT_CONFIG.throttle.onStatus)
+  merged.throttle.onErrorCodes = normalizeArray(
+    merged.throttle.onErrorCodes,
+    DEFAULT_CONFIG.throttle.onErrorCodes
+  )
+  merged.throttle.onMessageMatches = normalizeArray(
+    merged.throttle.onMessageMatches,
+    DEFAULT_CONFIG.throttle.onMessageMatches
+  )
+
+  return merged
+}
+
+export function isTruthyEnv(value) {
+  return typeof value === "string" && ["1", "true", "yes", "on"].includes(value.trim().toLowerCase())
+}
+
+export function normalizeArray(value, fallback) {
+  if (Array.isArray(value)) return value
+  return Array.isArray(fallback) ? fallback : []
+}
+
+export function parseModel(value) {
+  if (!value || typeof value !== "string") return null
+  const parts = value.split("/")
+  if (parts.length < 2) return null
+  return { providerId: parts[0], modelId: parts.slice(1).join("/") }
+}
+
+export function modelToString(model) {
+  if (!model) return null
+  if (typeof model === "string") return model
+  if (model.providerId && model.modelId) return `${model.providerId}/${model.modelId}`
+  return null
+}
+
+// Records written before tiers existed were always one step below primary.
+export function getRecordTier(record) {
+  const tier = Number(record?.tier)
+  if (Number.isInteger(tier) && tier >= 0) return tier
+  return record?.restoredAt ? 0 : 1
+}
+
+export async function safeLog(client, level, message, extra = {}) {
+  try {
+    await client.app.log({
+      body: {
+        service: SERVICE_NAME,
+        level,
+        message,
+        extra,
+      },
+    })
+  } catch {
+    return
+  }
+}
@@ -0,0 +1,224 @@
+import path from "node:path"
+import { parseModel, safeLog } from "./config.js"
+import { appendText, readText } from "./runtime.js"
+
+// Append-only JSONL history of fallbacks and restores, and the reports built from it.
+
+const HOUR_MS = 60 * 60 * 1000
+
+// History sits next to the state file and shares its lifetime.
+export function getHistoryPath(statePath) {
+  if (!statePath) return null
+  return path.join(path.dirname(statePath), "credit-switcher.history.jsonl")
+}
+
+export async function appendHistory(historyPath, entry, client) {
+  if (!historyPath) return
+
+  try {
+    await appendText(historyPath, `${JSON.stringify({ at: Date.now(), ...entry })}\n`)
+  } catch (error) {
+    await safeLog(client, "error", "Failed to append history", { path: historyPath, error: String(error) })
+  }
+}
+
+// Unreadable lines are skipped so one torn write does not hide the rest.
+export async function readHistory(historyPath) {
+  let text
+  try {
+    text = await readText(historyPath)
+  } catch (error) {
+    if (error?.code === "ENOENT") return []
+    throw error
+  }
+
+  const entries = []
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue
+    try {
+      const entry = JSON.parse(line)
+      if (entry && Number(entry.at)) entries.push(entry)
+    } catch {
+      continue
+    }
+  }
+  return entries.sort((a, b) => a.at - b.at)
+}
+
+// Walks the events per session to rebuild the spans spent off the original model,
+// then totals them per provider and per UTC day within [since, until).
+export function summarizeHistory(entries, { since = 0, until = Date.now() } = {}) {
+  const providers = new Map()
+  const days = new Map()
+  const totals = { exhausted: 0, fallbacks: 0, declined: 0, restoreAttempts: 0, restores: 0, failedRestores: 0, fallbackMs: 0 }
+  const open = new Map()
+  const spans = []
+
+  const provider = (id) => {
+    const key = id || "unknown"
+    if (!providers.has(key)) {
+      providers.set(key, { provider: key, exhausted: 0, fallbacks: 0, declined: 0, awayMs: 0, servingMs: 0 })
+    }
+    return providers.get(key)
+  }
+  const day = (time) => {
+    const key = new Date(time).toISOString().slice(0, 10)
+    if (!days.has(key)) {
+      days.set(key, { day: key, exhausted: 0, fallbacks: 0, declined: 0, restores: 0, fallbackMs: 0 })
+    }
+    return days.get(key)
+  }
+  const providerOf = (value) => parseModel(value)?.providerId || null
+  const inRange = (time) => time >= since && time < until
+
+  const close = (sessionId, end) => {
+    const span = open.get(sessionId)
+    if (!span) return
+    open.delete(sessionId)
+    spans.push({ ...span, end })
+  }
+
+  for (const entry of entries) {
+    const { at, type, sessionId } = entry
+    if (at >= until) break
+    const counted = inRange(at)
+
+    if (type === "exhausted") {
+      if (!counted) continue
+      totals.exhausted += 1
+      provider(providerOf(entry.model)).exhausted += 1
+      day(at).exhausted += 1
+    } else if (type === "declined") {
+      if (!counted) continue
+      totals.declined += 1
+      provider(providerOf(entry.from)).declined += 1
+      day(at).declined += 1
+    } else if (type === "fallback") {
+      close(sessionId, at)
+      open.set(sessionId, { sessionId, start: at, original: entry.original || entry.from, model: entry.to })
+      if (!counted) continue
+      totals.fallbacks += 1
+      provider(providerOf(entry.from)).fallbacks += 1
+      day(at).fallbacks += 1
+    } else if (type === "deleted") {
+      close(sessionId, at)
+    } else if (type === "restore-attempt") {
+      if (counted) totals.restoreAttempts += 1
+    } else if (type === "restore") {
+      if (entry.ok) {
+        const span = open.get(sessionId)
+        close(sessionId, at)
+        if (entry.tier > 0) {
+          open.set(sessionId, { sessionId, start: at, original: span?.original || entry.original, model: entry.to })
+        }
+      }
+      if (!counted) continue
+      if (entry.ok) {
+        totals.restores += 1
+        day(at).restores += 1
+      } else {
+        totals.failedRestores += 1
+      }
+    }
+  }
+
+  for (const sessionId of [...open.keys()]) close(sessionId, until)
+
+  // Spans are clipped to the range and split at UTC midnight for the daily totals.
+  for (const span of spans) {
+    const start = Math.max(span.start, since)
+    const end = Math.min(span.end, until)
+    if (end <= start) continue
+
+    totals.fallbackMs += end - start
+    provider(providerOf(span.original)).awayMs += end - start
+    provider(providerOf(span.model)).servingMs += end - start
+
+    let cursor = start
+    while (cursor < end) {
+      const midnight = new Date(cursor)
+      midnight.setUTCHours(24, 0, 0, 0)
+      const stop = Math.min(end, midnight.getTime())
+      day(cursor).fallbackMs += stop - cursor
+      cursor = stop
+    }
+  }
+
+  return {
+    since,
+    until,
+    totals,
+    providers: [...providers.values()].sort((a, b) => a.provider.localeCompare(b.provider)),
+    days: [...days.values()].sort((a, b) => a.day.localeCompare(b.day)),
+  }
+}
+
+export function renderHistoryMarkdown(summary) {
+  const { totals } = summary
+  const lines = [
+    "# Credit switcher history",
+    "",
+    `- Range: ${formatDate(summary.since)} to ${formatDate(summary.until)}`,
+    `- Exhaustions: ${totals.exhausted}`,
+    `- Fallbacks: ${totals.fallbacks} (${totals.declined} declined)`,
+    `- Restores: ${totals.restores} of ${totals.restoreAttempts} attempts (${totals.failedRestores} failed)`,
+    `- Time on fallback: ${formatHours(totals.fallbackMs)} h`,
+    "",
+    "## Per provider",
+    "",
+    "Hours away counts time sessions spent off this provider; hours serving counts time it answered as a fallback.",
+    "",
+    "| provider | exhausted | fallbacks | declined | hours away | hours serving |",
+    "| --- | --- | --- | --- | --- | --- |",
+  ]
+
+  for (const row of summary.providers) {
+    lines.push(
+      `| ${row.provider} | ${row.exhausted} | ${row.fallbacks} | ${row.declined} | ${formatHours(row.awayMs)} | ${formatHours(row.servingMs)} |`
+    )
+  }
+
+  lines.push(
+    "",
+    "## Per day (UTC)",
+    "",
+    "| day | exhausted | fallbacks | declined | restores | hours on fallback |",
+    "| --- | --- | --- | --- | --- | --- |"
+  )
+  for (const row of summary.days) {
+    lines.push(
+      `| ${row.day} | ${row.exhausted} | ${row.fallbacks} | ${row.declined} | ${row.restores} | ${formatHours(row.fallbackMs)} |`
+    )
+  }
+
+  return lines.join("\n")
+}
+
+// One table for both breakdowns; "section" tells provider rows from day rows.
+export function renderHistoryCsv(summary) {
+  const lines = ["section,key,exhausted,fallbacks,declined,restores,hours_away,hours_serving,hours_on_fallback"]
+  for (const row of summary.providers) {
+    lines.push(
+      ["provider", csvCell(row.provider), row.exhausted, row.fallbacks, row.declined, "", formatHours(row.awayMs), formatHours(row.servingMs), ""].join(",")
+    )
+  }
+  for (const row of summary.days) {
+    lines.push(
+      ["day", row.day, row.exhausted, row.fallbacks, row.declined, row.restores, "", "", formatHours(row.fallbackMs)].join(",")
+    )
+  }
+  return lines.join("\n")
+}
+
+function formatHours(ms) {
+  return (ms / HOUR_MS).toFixed(2)
+}
+
+function formatDate(time) {
+  return time ? new Date(time).toISOString() : "start"
+}
+
+function csvCell(value) {
+  const text = String(value ?? "")
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
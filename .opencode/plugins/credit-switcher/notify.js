@@ -0,0 +1,123 @@
+import { spawn } from "node:child_process"
+import { env, expandEnv } from "./runtime.js"
+import { safeLog } from "./config.js"
+
+// External notification sinks: an HTTP webhook, a shell command, or a desktop
+// notification. Each runs in the background under its own timeout, so a slow or
+// failing sink never holds up a retry.
+
+export const NOTIFY_EVENTS = ["fallback", "restore", "failure"]
+
+const DEFAULT_TIMEOUT_SECONDS = 10
+const TITLE = "OpenCode credit switcher"
+
+// Resolves once every matching sink has finished or timed out; callers need not wait.
+export async function sendNotifications(sinks, event, client) {
+  await Promise.all(
+    (sinks || []).map(async (sink, index) => {
+      if (sink.events?.length && !sink.events.includes(event.event)) return
+      const timeoutMs = Math.max(0.1, Number(sink.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS)) * 1000
+      try {
+        await SINKS[sink.type](sink, event, timeoutMs)
+      } catch (error) {
+        await safeLog(client, "warn", "Notification failed", {
+          sink: `notifications.sinks[${index}]`,
+          type: sink.type,
+          event: event.event,
+          error: String(error?.message || error),
+        })
+      }
+    })
+  )
+}
+
+const SINKS = {
+  webhook: sendWebhook,
+  command: runCommand,
+  desktop: showDesktopNotification,
+}
+
+// `body` is a template: "{{name}}" alone keeps the value's type, and inside longer
+// strings it is replaced by the text. Without a body the event itself is sent.
+async function sendWebhook(sink, event, timeoutMs) {
+  const body = sink.body === undefined ? event : renderTemplate(sink.body, event)
+  const headers = { "content-type": "application/json" }
+  for (const [name, value] of Object.entries(sink.headers || {})) {
+    headers[name.toLowerCase()] = expandEnv(renderText(String(value), event))
+  }
+
+  const response = await fetch(expandEnv(sink.url), {
+    method: sink.method || "POST",
+    headers,
+    body: typeof body === "string" ? body : JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  })
+  if (!response.ok) throw new Error(`HTTP ${response.status}`)
+}
+
+// The command runs in a shell with the event as CREDIT_SWITCHER_* variables, plus
+// CREDIT_SWITCHER_JSON with the whole event.
+function runCommand(sink, event, timeoutMs) {
+  const variables = { CREDIT_SWITCHER_JSON: JSON.stringify(event) }
+  for (const [key, value] of Object.entries(event)) {
+    if (value === null || value === undefined) continue
+    const name = key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase()
+    variables[`CREDIT_SWITCHER_${name}`] = typeof value === "object" ? JSON.stringify(value) : String(value)
+  }
+  return runProcess(sink.command, [], { shell: true, env: { ...env, ...variables } }, timeoutMs)
+}
+
+function showDesktopNotification(sink, event, timeoutMs) {
+  const title = sink.title ? renderText(sink.title, event) : TITLE
+  const message = sink.message ? renderText(sink.message, event) : event.message
+  if (process.platform === "darwin") {
+    const script = `display notification ${JSON.stringify(message)} with title ${JSON.stringify(title)}`
+    return runProcess("osascript", ["-e", script], {}, timeoutMs)
+  }
+  if (process.platform !== "linux") throw new Error(`Desktop notifications are not supported on ${process.platform}`)
+  return runProcess("notify-send", ["--app-name=OpenCode", title, message], {}, timeoutMs)
+}
+
+function runProcess(command, args, options, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { ...options, stdio: ["ignore", "ignore", "pipe"] })
+    let stderr = ""
+    const timer = setTimeout(() => {
+      child.kill()
+      reject(new Error(`Timed out after ${timeoutMs}ms`))
+    }, timeoutMs)
+
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-500)
+    })
+    child.on("error", (error) => {
+      clearTimeout(timer)
+      reject(error)
+    })
+    child.on("close", (code) => {
+      clearTimeout(timer)
+      if (code === 0) resolve()
+      else reject(new Error(`Exited with ${code}${stderr.trim() ? `: ${stderr.trim()}` : ""}`))
+    })
+  })
+}
+
+export function renderTemplate(template, event) {
+  if (Array.isArray(template)) return template.map((entry) => renderTemplate(entry, event))
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, event)]))
+  }
+  if (typeof template !== "string") return template
+
+  const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/)
+  if (whole) return event[whole[1]] ?? null
+  return renderText(template, event)
+}
+
+function renderText(text, event) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = event[key]
+    if (value === null || value === undefined) return ""
+    return typeof value === "object" ? JSON.stringify(value) : String(value)
+  })
+}
@@ -0,0 +1,76 @@
+import { expandEnv } from "./runtime.js"
+
+// Quota adapters read how much credit a provider has left. Each adapter's `poll`
+// gets the provider's quota.providers entry and its OpenCode endpoint, and returns
+// { remaining, limit }, with limit null when the API does not say.
+
+export const QUOTA_ADAPTERS = {
+  // The billing endpoints that OpenAI-compatible gateways such as one-api and
+  // new-api serve next to the API: a hard limit in USD and usage in cents.
+  openai: {
+    needsEndpoint: true,
+    async poll(source, { endpoint, timeoutMs }) {
+      const base = String(source.url || endpoint?.baseURL || "").replace(/\/+$/, "")
+      if (!base) throw new Error("no baseURL; set url or configure the provider in opencode.json")
+      const headers = getHeaders(source, source.apiKey ?? endpoint?.apiKey)
+
+      const subscription = await getJson(`${base}/dashboard/billing/subscription`, headers, timeoutMs)
+      const usage = await getJson(`${base}/dashboard/billing/usage`, headers, timeoutMs)
+      const limit = toNumber(subscription?.hard_limit_usd ?? subscription?.system_hard_limit_usd)
+      const used = toNumber(usage?.total_usage)
+      if (limit === null || used === null) throw new Error("response has no hard_limit_usd or total_usage")
+      return { remaining: limit - used / 100, limit }
+    },
+  },
+
+  // Any endpoint that reports the remaining quota somewhere in a JSON body.
+  json: {
+    needsEndpoint: false,
+    async poll(source, { timeoutMs }) {
+      const payload = await getJson(expandEnv(source.url), getHeaders(source, source.apiKey), timeoutMs)
+      const remaining = toNumber(readJsonPath(payload, source.remainingPath))
+      if (remaining === null) throw new Error(`no number at ${source.remainingPath}`)
+      const limit = source.limitPath ? toNumber(readJsonPath(payload, source.limitPath)) : null
+      return { remaining, limit }
+    },
+  },
+}
+
+export async function pollQuota(source, context) {
+  const adapter = QUOTA_ADAPTERS[source?.adapter]
+  if (!adapter) throw new Error(`unknown quota adapter "${source?.adapter}"`)
+  return adapter.poll(source, context)
+}
+
+// Dot paths with optional indexes, such as "data.limit_remaining" or "grants[0].balance".
+export function readJsonPath(value, jsonPath) {
+  const keys = String(jsonPath || "")
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean)
+  return keys.reduce((current, key) => (current == null ? undefined : current[key]), value)
+}
+
+async function getJson(url, headers, timeoutMs) {
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) })
+  if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`)
+  try {
+    return await response.json()
+  } catch {
+    throw new Error(`invalid JSON from ${url}`)
+  }
+}
+
+function getHeaders(source, apiKey) {
+  const headers = {}
+  if (apiKey) headers.authorization = `Bearer ${expandEnv(apiKey)}`
+  for (const [name, value] of Object.entries(source.headers || {})) {
+    headers[name.toLowerCase()] = expandEnv(value)
+  }
+  return headers
+}
+
+function toNumber(value) {
+  const number = typeof value === "string" && value.trim() ? Number(value) : value
+  return typeof number === "number" && Number.isFinite(number) ? number : null
+}
@@ -0,0 +1,65 @@
+import { watch } from "node:fs"
+import fs from "node:fs/promises"
+import path from "node:path"
+
+// File and environment access that behaves the same on Bun and Node. OpenCode runs
+// the plugin on Bun; the CLI, scripts and tests also run on Node.
+
+// Bun.env and process.env are the same object on Bun, so writes show up in both.
+export const env = globalThis.Bun?.env ?? process.env
+
+// {env:NAME} keeps secrets out of config files, as in opencode.json. Unset names become "".
+export function expandEnv(text) {
+  return String(text).replace(/\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => env[name] || "")
+}
+
+export async function fileExists(filePath) {
+  try {
+    await fs.access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
+
+export async function readText(filePath) {
+  return fs.readFile(filePath, "utf8")
+}
+
+// Creates missing parent directories. `flag: "wx"` fails with EEXIST instead of overwriting.
+export async function writeText(filePath, text, { flag = "w" } = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.writeFile(filePath, text, { flag })
+}
+
+export async function appendText(filePath, text) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.appendFile(filePath, text)
+}
+
+// Replaces `to` in one step, which is what makes state writes atomic.
+export async function renameFile(from, to) {
+  await fs.rename(from, to)
+}
+
+// Fails with EEXIST when `to` exists, like writeText's "wx".
+export async function linkFile(from, to) {
+  await fs.link(from, to)
+}
+
+// Missing files are not an error.
+export async function removeFile(filePath) {
+  await fs.rm(filePath, { force: true })
+}
+
+export async function getModifiedTime(filePath) {
+  return (await fs.stat(filePath)).mtimeMs
+}
+
+// Calls `listener(filename)` on changes in `dir`. The watcher does not keep the
+// process alive.
+export function watchDirectory(dir, listener) {
+  const watcher = watch(dir, (_eventType, filename) => listener(filename ? String(filename) : null))
+  watcher.unref?.()
+  return watcher
+}
@@ -0,0 +1,243 @@
+// Reset schedules for provider quotas: daily or monthly at a time of day, or a
+// five-field cron expression, each in an optional IANA time zone (local time otherwise).
+// Routing windows use the same time zone handling.
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+]
+
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+}
+
+// Rare cron dates such as Feb 29 on a Monday can be years apart; past this the
+// schedule counts as never firing.
+const MAX_SEARCH_DAYS = 366 * 5
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]
+
+const formatters = new Map()
+
+// Throws with a readable message when the expression is invalid.
+export function parseCron(expression) {
+  const text = String(expression || "").trim().toLowerCase()
+  const fields = (CRON_MACROS[text] || text).split(/\s+/)
+  if (fields.length !== 5) throw new Error(`expected 5 fields, got ${fields[0] ? fields.length : 0}`)
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]))
+  // Sunday is both 0 and 7.
+  if (weekdays.has(7)) weekdays.add(0)
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  }
+}
+
+function parseCronField(field, spec) {
+  const values = new Set()
+  for (const part of field.split(",")) {
+    const match = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/)
+    if (!match) throw new Error(`invalid ${spec.name} "${part}"`)
+
+    const step = match[2] ? Number(match[2]) : 1
+    if (step < 1) throw new Error(`invalid step in ${spec.name} "${part}"`)
+
+    let start = spec.min
+    let end = spec.max
+    if (match[1] !== "*") {
+      const [from, to] = match[1].split("-")
+      start = parseCronValue(from, spec)
+      // "5/15" runs from 5 to the end of the range, like most cron implementations.
+      end = to !== undefined ? parseCronValue(to, spec) : match[2] ? spec.max : start
+    }
+    if (start > end) throw new Error(`invalid range in ${spec.name} "${part}"`)
+    for (let value = start; value <= end; value += step) values.add(value)
+  }
+  return values
+}
+
+function parseCronValue(text, spec) {
+  const named = spec.names?.indexOf(text) ?? -1
+  const value = named !== -1 ? named + (spec.name === "month" ? 1 : 0) : /^\d+$/.test(text) ? Number(text) : NaN
+  if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+    throw new Error(`${spec.name} "${text}" is outside ${spec.min}-${spec.max}`)
+  }
+  return value
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// "HH:MM" to [hour, minute], or null.
+export function parseTimeOfDay(value) {
+  const match = String(value ?? "").match(/^([01]?\d|2[0-3]):([0-5]\d)$/)
+  return match ? [Number(match[1]), Number(match[2])] : null
+}
+
+// First reset strictly after `after`, or null when the schedule is unusable.
+export function getNextReset(reset, after) {
+  if (!reset?.schedule) return null
+  const timeZone = reset.timezone || undefined
+  if (timeZone && !isValidTimeZone(timeZone)) return null
+
+  let matchesDay
+  let times
+  if (reset.schedule === "cron") {
+    let cron
+    try {
+      cron = parseCron(reset.cron)
+    } catch {
+      return null
+    }
+    matchesDay = (date) => matchesCronDay(cron, date)
+    times = []
+    for (const hour of [...cron.hours].sort((a, b) => a - b)) {
+      for (const minute of [...cron.minutes].sort((a, b) => a - b)) times.push([hour, minute])
+    }
+  } else if (reset.schedule === "daily" || reset.schedule === "monthly") {
+    const time = parseTimeOfDay(reset.at || "00:00")
+    if (!time) return null
+    times = [time]
+    // Days past the end of a short month reset on its last day.
+    const day = Math.min(31, Math.max(1, Number(reset.day) || 1))
+    matchesDay =
+      reset.schedule === "daily"
+        ? () => true
+        : (date) => date.day === Math.min(day, daysInMonth(date.year, date.month))
+  } else {
+    return null
+  }
+
+  const start = getZonedParts(after, timeZone)
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset += 1) {
+    const calendar = new Date(Date.UTC(start.year, start.month - 1, start.day + offset))
+    const date = {
+      year: calendar.getUTCFullYear(),
+      month: calendar.getUTCMonth() + 1,
+      day: calendar.getUTCDate(),
+      weekday: calendar.getUTCDay(),
+    }
+    if (!matchesDay(date)) continue
+    for (const [hour, minute] of times) {
+      const time = getZonedTime({ ...date, hour, minute }, timeZone)
+      if (time > after) return time
+    }
+  }
+  return null
+}
+
+// Whether a routing window is open at `time`. Without start and end it spans whole
+// days. `days` and `lastDaysOfMonth` apply to the day a window opens, so a window
+// from Friday 22:00 to 07:00 is still open early on Saturday.
+export function isWindowOpen(window, time) {
+  const parts = getZonedParts(time, window.timezone || undefined)
+  const minutes = parts.hour * 60 + parts.minute
+  const [startHour, startMinute] = parseTimeOfDay(window.start) || [0, 0]
+  const [endHour, endMinute] = parseTimeOfDay(window.end) || [0, 0]
+  const start = startHour * 60 + startMinute
+  const end = endHour * 60 + endMinute
+
+  let date = parts
+  if (start < end) {
+    if (minutes < start || minutes >= end) return false
+  } else if (start > end && minutes < start) {
+    if (minutes >= end) return false
+    const previous = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - 1))
+    date = {
+      year: previous.getUTCFullYear(),
+      month: previous.getUTCMonth() + 1,
+      day: previous.getUTCDate(),
+      weekday: previous.getUTCDay(),
+    }
+  }
+
+  if (window.days?.length && !window.days.includes(WEEKDAYS[date.weekday])) return false
+  if (window.lastDaysOfMonth && date.day <= daysInMonth(date.year, date.month) - window.lastDaysOfMonth) {
+    return false
+  }
+  return true
+}
+
+// Standard cron rule: when both day fields are restricted, either one may match.
+function matchesCronDay(cron, date) {
+  if (!cron.months.has(date.month)) return false
+  const day = cron.days.has(date.day)
+  const weekday = cron.weekdays.has(date.weekday)
+  if (cron.anyDay) return weekday
+  if (cron.anyWeekday) return day
+  return day || weekday
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+// Wall-clock fields of `time` in the zone.
+export function getZonedParts(time, timeZone) {
+  const key = timeZone || ""
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        weekday: "short",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    )
+  }
+
+  const parts = {}
+  for (const part of formatters.get(key).formatToParts(new Date(time))) parts[part.type] = part.value
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  }
+}
+
+// Epoch time of a wall-clock time in the zone. The offset is read twice so times
+// next to a DST change land on the right side of it; a time skipped by the change
+// moves past the gap.
+export function getZonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute)
+  const first = wall - getZoneOffset(wall, timeZone)
+  const second = wall - getZoneOffset(first, timeZone)
+  return getZonedParts(second, timeZone).hour === hour ? second : Math.max(first, second)
+}
+
+function getZoneOffset(time, timeZone) {
+  const parts = getZonedParts(time, timeZone)
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return wall - Math.floor(time / 1000) * 1000
+}
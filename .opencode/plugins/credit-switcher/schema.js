@@ -0,0 +1,365 @@
+import { WEEKDAYS } from "./schedule.js"
+
+// JSON Schema for credit-switcher.json. The build publishes it as
+// credit-switcher.schema.json, and validate.js checks configs against it.
+
+export const SCHEMA_URL = "https://unpkg.com/opencode-credit-switcher/dist/credit-switcher.schema.json"
+
+const model = {
+  type: "string",
+  pattern: "^[^/\\s]+/\\S+$",
+  description: "Model id as provider/model.",
+}
+const modelPattern = {
+  type: "string",
+  minLength: 1,
+  description: "provider/model id; * matches any run of characters.",
+}
+const stringList = { type: "array", items: { type: "string" } }
+const statusList = { type: "array", items: { type: "integer", minimum: 100, maximum: 599 } }
+const textMatcher = {
+  type: "string",
+  format: "text-or-regex",
+  description: "Plain text, or a /regex/flags literal.",
+}
+const oneOrMany = (schema) => ({ anyOf: [schema, { type: "array", items: schema }] })
+const seconds = { type: "number", minimum: 0 }
+
+export const CONFIG_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  $id: SCHEMA_URL,
+  title: "OpenCode credit switcher config",
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    $schema: { type: "string" },
+    enabled: { type: "boolean" },
+    dryRun: { type: "boolean", description: "Log every decision without switching models or writing state." },
+    primaryModel: model,
+    fallbackModel: model,
+    fallbackChain: {
+      type: "array",
+      items: model,
+      description: "Ordered tiers, primary first. Empty means [primaryModel, fallbackModel].",
+    },
+    fallbackRules: {
+      type: "array",
+      description: "Per-model/agent overrides, first match wins.",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["fallback"],
+        properties: {
+          model: modelPattern,
+          agent: { type: "string" },
+          mode: { type: "string" },
+          fallback: { anyOf: [model, { type: "array", items: model, minItems: 1 }] },
+        },
+      },
+    },
+    licensing: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        requireProviders: stringList,
+      },
+    },
+    restore: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        intervalHours: { type: "number", exclusiveMinimum: 0 },
+        mode: { enum: ["interval", "probe"] },
+        probe: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            prompt: { type: "string" },
+            intervalMinutes: { type: "number", exclusiveMinimum: 0 },
+            maxBackoffHours: { type: "number", exclusiveMinimum: 0 },
+            timeoutSeconds: seconds,
+          },
+        },
+        resets: {
+          type: "object",
+          description: "Quota reset schedules keyed by provider id.",
+          additionalProperties: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              schedule: { enum: ["daily", "monthly", "cron"] },
+              at: { type: "string", format: "time-of-day", description: "HH:MM for daily and monthly schedules." },
+              day: { type: "integer", minimum: 1, maximum: 31, description: "Day of the month; short months use their last day." },
+              cron: { type: "string", format: "cron", description: "minute hour day-of-month month day-of-week" },
+              timezone: { type: "string", format: "time-zone", description: "IANA time zone; local time when omitted." },
+              fromError: { type: "boolean", description: "Prefer a reset time reported in the exhaustion error." },
+            },
+          },
+        },
+      },
+    },
+    fallback: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        onStatus: statusList,
+        onErrorCodes: stringList,
+        onMessageMatches: stringList,
+      },
+    },
+    detection: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        rules: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["match"],
+            properties: {
+              name: { type: "string" },
+              kind: { enum: ["exhausted", "throttled"] },
+              providers: oneOrMany({ type: "string" }),
+              match: { $ref: "#/$defs/condition" },
+              unless: { $ref: "#/$defs/condition" },
+            },
+          },
+        },
+        exclude: { type: "array", items: { $ref: "#/$defs/condition" } },
+      },
+    },
+    throttle: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        onStatus: statusList,
+        onErrorCodes: stringList,
+        onMessageMatches: stringList,
+        maxRetries: { type: "integer", minimum: 0 },
+        baseDelaySeconds: seconds,
+        maxDelaySeconds: seconds,
+        windowMinutes: { type: "number", minimum: 0 },
+      },
+    },
+    breaker: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        trialTimeoutMinutes: { type: "number", exclusiveMinimum: 0 },
+      },
+    },
+    healthCheck: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        timeoutSeconds: seconds,
+        cacheSeconds: seconds,
+        providers: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              baseURL: { type: "string" },
+              apiKey: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    replay: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        revertFailedTurn: { type: "boolean" },
+        adaptParts: { type: "boolean" },
+        textOnlyModels: { type: "array", items: modelPattern },
+      },
+    },
+    retry: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        maxAttempts: { type: "integer", minimum: 1, description: "Fallbacks allowed per session within windowMinutes." },
+        windowMinutes: { type: "number", exclusiveMinimum: 0 },
+        cooldownSeconds: { ...seconds, description: "Wait after a restore before the session may fall back again." },
+        promptRetries: { type: "integer", minimum: 0, description: "Times a fallback prompt that fails to send is retried." },
+        baseDelaySeconds: seconds,
+        maxDelaySeconds: seconds,
+      },
+    },
+    context: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        limits: { type: "object", additionalProperties: { type: "integer", exclusiveMinimum: 0 } },
+        reserveTokens: { type: "integer", minimum: 0 },
+        charsPerToken: { type: "number", exclusiveMinimum: 0 },
+        strategy: { enum: ["summarize", "trim"] },
+      },
+    },
+    budgets: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        warnAt: { type: "number", minimum: 0, maximum: 1 },
+        switchAt: { type: "number", minimum: 0, maximum: 1 },
+        providers: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              period: { enum: ["daily", "monthly", "cycle"] },
+              resetDay: { type: "integer", minimum: 1, maximum: 31 },
+              cycleDays: { type: "number", exclusiveMinimum: 0 },
+              cycleStart: { type: "string", format: "date-time" },
+              limitCost: { type: "number", minimum: 0 },
+              limitTokens: { type: "number", minimum: 0 },
+            },
+          },
+        },
+        prices: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              input: { type: "number", minimum: 0 },
+              output: { type: "number", minimum: 0 },
+              reasoning: { type: "number", minimum: 0 },
+              cacheRead: { type: "number", minimum: 0 },
+              cacheWrite: { type: "number", minimum: 0 },
+            },
+          },
+        },
+      },
+    },
+    quota: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        intervalMinutes: { type: "number", minimum: 1 },
+        timeoutSeconds: { type: "number", exclusiveMinimum: 0 },
+        providers: {
+          type: "object",
+          description: "Quota endpoints keyed by provider id.",
+          additionalProperties: {
+            type: "object",
+            additionalProperties: false,
+            required: ["adapter"],
+            properties: {
+              adapter: { enum: ["openai", "json"] },
+              url: { type: "string", minLength: 1, description: "Endpoint URL; the openai adapter defaults to the provider's baseURL." },
+              apiKey: { type: "string", description: "Sent as a Bearer token; {env:NAME} is replaced." },
+              headers: { type: "object", additionalProperties: { type: "string" } },
+              remainingPath: { type: "string", minLength: 1, description: "JSON path to the remaining quota, such as data.limit_remaining." },
+              limitPath: { type: "string", minLength: 1 },
+              minRemaining: { type: "number", description: "Route away from the provider at or below this much quota." },
+            },
+          },
+        },
+      },
+    },
+    routing: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        windows: {
+          type: "array",
+          description: "Times when sessions move to another model on purpose; the first open window wins.",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["name", "model"],
+            properties: {
+              name: { type: "string", minLength: 1 },
+              model: { ...model, description: "Model sessions use while the window is open." },
+              models: { ...oneOrMany(modelPattern), description: "Session models the window moves; all when omitted." },
+              days: { type: "array", items: { enum: WEEKDAYS }, description: "Days the window opens on." },
+              start: { type: "string", format: "time-of-day", description: "HH:MM; whole days when start and end are omitted." },
+              end: { type: "string", format: "time-of-day", description: "HH:MM; before start for overnight windows." },
+              lastDaysOfMonth: { type: "integer", minimum: 1, maximum: 31 },
+              timezone: { type: "string", format: "time-zone", description: "IANA time zone; local time when omitted." },
+            },
+          },
+        },
+      },
+    },
+    history: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+      },
+    },
+    state: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        retentionDays: { type: "number", minimum: 0 },
+        expireDays: { type: "number", minimum: 0 },
+        maxSessions: { type: "integer", minimum: 0 },
+      },
+    },
+    notifications: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        toastOnFallback: { type: "boolean" },
+        toastOnRestore: { type: "boolean" },
+        toastOnBudget: { type: "boolean" },
+        confirmOnFallback: { type: "boolean" },
+        toastOnWindow: { type: "boolean" },
+        sinks: {
+          type: "array",
+          description: "External notifications for fallback, restore and failure events.",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["type"],
+            properties: {
+              type: { enum: ["webhook", "command", "desktop"] },
+              events: { type: "array", items: { enum: ["fallback", "restore", "failure"] } },
+              timeoutSeconds: { type: "number", minimum: 0.1 },
+              url: { type: "string", minLength: 1, description: "Webhook URL; {env:NAME} is replaced." },
+              method: { enum: ["POST", "PUT"] },
+              headers: { type: "object", additionalProperties: { type: "string" } },
+              body: { description: "JSON body template; \"{{field}}\" inserts an event field." },
+              command: { type: "string", minLength: 1, description: "Shell command; gets CREDIT_SWITCHER_* env vars." },
+              title: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+  },
+  $defs: {
+    condition: {
+      anyOf: [
+        { type: "array", items: { $ref: "#/$defs/condition" } },
+        {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            all: { type: "array", items: { $ref: "#/$defs/condition" } },
+            any: { type: "array", items: { $ref: "#/$defs/condition" } },
+            not: { $ref: "#/$defs/condition" },
+            status: oneOrMany({ type: "integer", minimum: 100, maximum: 599 }),
+            code: oneOrMany(textMatcher),
+            message: oneOrMany(textMatcher),
+          },
+        },
+      ],
+    },
+  },
+}
@@ -0,0 +1,237 @@
+import { isValidTimeZone, parseCron, parseTimeOfDay } from "./schedule.js"
+import { CONFIG_SCHEMA } from "./schema.js"
+
+// Checks a raw config against CONFIG_SCHEMA, plus the few rules a schema cannot
+// express. Covers the subset of JSON Schema that CONFIG_SCHEMA uses.
+
+export function validateConfig(raw) {
+  const problems = []
+  checkValue(raw, CONFIG_SCHEMA, "", problems)
+
+  if (Array.isArray(raw?.fallbackChain) && raw.fallbackChain.length === 1) {
+    problems.push({ path: "fallbackChain", message: "needs at least two tiers, or none to use primaryModel and fallbackModel" })
+  }
+
+  for (const [provider, reset] of Object.entries(raw?.restore?.resets || {})) {
+    const resetPath = joinPath("restore.resets", provider)
+    if (reset?.schedule === "cron" && !reset.cron) {
+      problems.push({ path: joinPath(resetPath, "cron"), message: "is required for a cron schedule" })
+    } else if (reset && typeof reset === "object" && !reset.schedule && !reset.fromError) {
+      problems.push({ path: resetPath, message: "needs a schedule, or fromError" })
+    }
+  }
+
+  for (const [provider, source] of Object.entries(raw?.quota?.providers || {})) {
+    if (source?.adapter !== "json") continue
+    const sourcePath = joinPath("quota.providers", provider)
+    for (const key of ["url", "remainingPath"]) {
+      if (!source[key]) problems.push({ path: joinPath(sourcePath, key), message: "is required for the json adapter" })
+    }
+  }
+
+  const windows = Array.isArray(raw?.routing?.windows) ? raw.routing.windows : []
+  const names = new Set()
+  windows.forEach((window, index) => {
+    const windowPath = `routing.windows[${index}]`
+    if (Boolean(window?.start) !== Boolean(window?.end)) {
+      problems.push({ path: windowPath, message: "needs both start and end, or neither" })
+    }
+    if (names.has(window?.name)) problems.push({ path: `${windowPath}.name`, message: `"${window.name}" is used twice` })
+    names.add(window?.name)
+  })
+
+  const sinks = Array.isArray(raw?.notifications?.sinks) ? raw.notifications.sinks : []
+  sinks.forEach((sink, index) => {
+    const required = { webhook: "url", command: "command" }[sink?.type]
+    if (required && !sink[required]) {
+      problems.push({ path: `notifications.sinks[${index}].${required}`, message: `is required for a ${sink.type} sink` })
+    }
+  })
+
+  return problems
+}
+
+export function formatProblem(problem) {
+  return `${problem.path || "(root)"}: ${problem.message}`
+}
+
+function checkValue(value, schema, path, problems) {
+  if (schema.$ref) return checkValue(value, resolveRef(schema.$ref), path, problems)
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((option) => {
+      const found = []
+      checkValue(value, resolveSchema(option), path, found)
+      return { option: resolveSchema(option), found }
+    })
+    if (attempts.some((attempt) => !attempt.found.length)) return
+    // Report against the branch of the right type, so nested mistakes stay precise.
+    const matching = attempts.find((attempt) => attempt.option.type && matchesType(value, attempt.option.type))
+    if (matching) problems.push(...matching.found)
+    else problems.push({ path, message: `expected ${attempts.map(({ option }) => describeSchema(option)).join(" or ")}` })
+    return
+  }
+
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) {
+      problems.push({ path, message: `expected one of ${schema.enum.map((entry) => JSON.stringify(entry)).join(", ")}` })
+    }
+    return
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    problems.push({ path, message: `expected ${describeSchema(schema)}, got ${describeValue(value)}` })
+    return
+  }
+
+  if (typeof value === "string") checkString(value, schema, path, problems)
+  else if (typeof value === "number") checkNumber(value, schema, path, problems)
+  else if (Array.isArray(value)) checkArray(value, schema, path, problems)
+  else if (value && typeof value === "object") checkObject(value, schema, path, problems)
+}
+
+function checkString(value, schema, path, problems) {
+  if (schema.minLength && value.length < schema.minLength) {
+    problems.push({ path, message: "must not be empty" })
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    problems.push({ path, message: `"${value}" is not ${describeSchema(schema)}` })
+  }
+  if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+    problems.push({ path, message: `"${value}" is not a date` })
+  }
+  if (schema.format === "time-of-day" && !parseTimeOfDay(value)) {
+    problems.push({ path, message: `"${value}" is not a time such as 06:00` })
+  }
+  if (schema.format === "time-zone" && !isValidTimeZone(value)) {
+    problems.push({ path, message: `"${value}" is not a time zone such as Europe/Berlin` })
+  }
+  if (schema.format === "cron") {
+    try {
+      parseCron(value)
+    } catch (error) {
+      problems.push({ path, message: `invalid cron expression: ${error.message}` })
+    }
+  }
+  if (schema.format === "text-or-regex") {
+    const literal = value.match(/^\/(.+)\/([a-z]*)$/)
+    if (!literal) return
+    try {
+      new RegExp(literal[1], literal[2])
+    } catch (error) {
+      problems.push({ path, message: error.message })
+    }
+  }
+}
+
+function checkNumber(value, schema, path, problems) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push({ path, message: `must be at least ${schema.minimum}` })
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    problems.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` })
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push({ path, message: `must be at most ${schema.maximum}` })
+  }
+}
+
+function checkArray(value, schema, path, problems) {
+  if (schema.minItems && value.length < schema.minItems) {
+    problems.push({ path, message: `needs at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}` })
+  }
+  if (!schema.items) return
+  value.forEach((entry, index) => checkValue(entry, schema.items, `${path}[${index}]`, problems))
+}
+
+function checkObject(value, schema, path, problems) {
+  const properties = schema.properties || {}
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) problems.push({ path: joinPath(path, key), message: "is required" })
+  }
+
+  for (const [key, entry] of Object.entries(value)) {
+    const keyPath = joinPath(path, key)
+    if (properties[key]) {
+      checkValue(entry, properties[key], keyPath, problems)
+    } else if (schema.additionalProperties === false) {
+      const suggestion = suggestKey(key, Object.keys(properties))
+      problems.push({ path: keyPath, message: `unknown key${suggestion ? `; did you mean "${suggestion}"?` : ""}` })
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+      checkValue(entry, schema.additionalProperties, keyPath, problems)
+    }
+  }
+}
+
+function resolveRef(ref) {
+  const name = ref.replace(/^#\/\$defs\//, "")
+  return CONFIG_SCHEMA.$defs[name]
+}
+
+function resolveSchema(schema) {
+  return schema.$ref ? resolveRef(schema.$ref) : schema
+}
+
+function matchesType(value, type) {
+  if (type === "array") return Array.isArray(value)
+  if (type === "object") return Boolean(value) && typeof value === "object" && !Array.isArray(value)
+  if (type === "integer") return Number.isInteger(value)
+  if (type === "number") return typeof value === "number" && Number.isFinite(value)
+  return typeof value === type
+}
+
+function describeSchema(schema, plural = false) {
+  if (plural && !schema.anyOf && !schema.enum && schema.type !== "array") return describeNoun(schema, true)
+  if (schema.anyOf) return schema.anyOf.map((option) => describeSchema(resolveSchema(option))).join(" or ")
+  if (schema.enum) return schema.enum.map((entry) => JSON.stringify(entry)).join(" or ")
+  // Referenced item types can be recursive, so they stay undescribed.
+  if (schema.type === "array" && schema.items && !schema.items.$ref) return `a list of ${describeSchema(schema.items, true)}`
+  if (schema.type === "array") return "a list"
+  if (schema.type === "object") return "an object"
+  return describeNoun(schema, false)
+}
+
+function describeNoun(schema, plural) {
+  const noun = schema.pattern ? "provider/model id" : schema.type === "integer" ? "whole number" : schema.type
+  return plural ? `${noun}s` : `a ${noun}`
+}
+
+function describeValue(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "a list"
+  return typeof value === "object" ? "an object" : JSON.stringify(value)
+}
+
+function joinPath(path, key) {
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key
+  return `${path}[${JSON.stringify(key)}]`
+}
+
+// Closest known key within two edits, or a case-insensitive match.
+function suggestKey(key, known) {
+  let best = null
+  let bestDistance = 3
+  for (const candidate of known) {
+    if (candidate.toLowerCase() === key.toLowerCase()) return candidate
+    const distance = editDistance(key, candidate)
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+import { spawnSync } from "node:child_process"
+import path from "node:path"
+import {
+  DEFAULT_CONFIG,
+  createEmptyState,
+  getConfigLayers,
+  getConfigLeaves,
+  getConfigPaths,
+  getRecordTier,
+  getStatePath,
+  loadConfig,
+  loadState,
+  normalizeConfig,
+  pruneState,
+  saveState,
+} from "../.opencode/plugins/credit-switcher/config.js"
+import {
+  getHistoryPath,
+  readHistory,
+  renderHistoryCsv,
+  renderHistoryMarkdown,
+  summarizeHistory,
+} from "../.opencode/plugins/credit-switcher/history.js"
+import { env, fileExists, writeText } from "../.opencode/plugins/credit-switcher/runtime.js"
+import { CONFIG_SCHEMA } from "../.opencode/plugins/credit-switcher/schema.js"
+import { formatProblem } from "../.opencode/plugins/credit-switcher/validate.js"
+
+// Manages the credit switcher config and state outside of OpenCode.
+//
+// Usage: opencode-credit-switcher <command> [options]
+//
+//   init [--global] [--force]        Write the default config
+//   validate                         Check every config layer against the schema
+//   config [--json]                  Show the effective config and where each value comes from
+//   schema                           Print the config JSON Schema
+//   status [--json]                  Show sessions on fallback, breakers, usage and quota
+//   restore <session>                Return a session to the primary model
+//   prune [--older-than <days>]      Drop old records using the config's state limits
+//   reset [session]                  Forget one session, or all state
+//   report [--format markdown|csv]   Summarize fallback history
+//          [--since <date>] [--until <date>]
+//
+// Common options: --directory <path>, --worktree <path>, --config <path>
+
+const USAGE = `Usage: opencode-credit-switcher <command> [options]
+
+Commands:
+  init [--global] [--force]     Write the default config
+  validate                      Check every config layer against the schema
+  config [--json]               Show the effective config and where each value comes from
+  schema                        Print the config JSON Schema
+  status [--json]               Show sessions on fallback, breakers, usage and quota
+  restore <session>             Return a session to the primary model
+  prune [--older-than <days>]   Drop old records using the config's state limits;
+                                --older-than overrides state.retentionDays,
+                                and 0 drops every restored record
+  reset [session]               Forget one session, or all state
+  report [--format markdown|csv] [--since <date>] [--until <date>]
+                                Summarize fallback history per provider and day
+
+Options:
+  --directory <path>   Project directory (default: current directory)
+  --worktree <path>    Project worktree (default: git top level)
+  --config <path>      Config file to use instead of the search path`
+
+const FLAGS = new Set(["global", "force", "json", "help"])
+
+const { command, positional, options } = parseArgs(process.argv.slice(2))
+
+// Prints plugin log output on stderr instead of sending it to OpenCode.
+const client = {
+  app: {
+    log: async ({ body }) => {
+      if (body?.level === "error" || body?.level === "warn") {
+        console.error(`${body.level}: ${body.message}`, JSON.stringify(body.extra || {}))
+      }
+    },
+  },
+}
+
+const commands = { init, validate, config, schema, status, restore, prune, reset, report }
+
+if (!command || options.help || !commands[command]) {
+  console.log(USAGE)
+  process.exit(command && !options.help ? 1 : 0)
+}
+
+if (options.config) env.OPENCODE_CREDIT_SWITCHER_CONFIG = path.resolve(options.config)
+
+const directory = path.resolve(options.directory || process.cwd())
+const worktree = path.resolve(options.worktree || getGitRoot(directory) || directory)
+
+process.exitCode = (await commands[command]()) || 0
+
+async function init() {
+  const target = options.global
+    ? path.join(env.HOME || "", ".config", "opencode", "credit-switcher.json")
+    : options.config
+      ? path.resolve(options.config)
+      : path.join(worktree, ".opencode", "credit-switcher.json")
+
+  if ((await fileExists(target)) && !options.force) {
+    console.error(`${target} already exists; pass --force to overwrite it.`)
+    return 1
+  }
+
+  await writeText(target, `${JSON.stringify(DEFAULT_CONFIG, null, 2)}\n`)
+  console.log(`Wrote ${target}`)
+  return 0
+}
+
+async function validate() {
+  const loaded = await loadConfig(getConfigLayers(directory, worktree), client)
+  if (loaded.error) {
+    console.error(loaded.error)
+    return 1
+  }
+  if (!loaded.files.length) {
+    console.error("No config found. Run `opencode-credit-switcher init` to create one.")
+    return 1
+  }
+
+  if (!loaded.problems.length) {
+    for (const file of loaded.files) console.log(`${file}: OK`)
+    return 0
+  }
+
+  for (const problem of loaded.problems) console.error(`${problem.source}: ${formatProblem(problem)}`)
+  return 1
+}
+
+async function config() {
+  const layers = getConfigLayers(directory, worktree)
+  const loaded = await loadConfig(layers, client)
+  if (loaded.error) {
+    console.error(loaded.error)
+    return 1
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ config: maskSecrets(loaded.config), sources: loaded.sources }, null, 2))
+    return 0
+  }
+
+  console.log("Layers, lowest precedence first:")
+  console.log("  default")
+  for (const layer of layers) {
+    const used = loaded.files.includes(layer.path)
+    console.log(`  ${layer.source.padEnd(9)} ${layer.path}${used ? "" : " (not found)"}`)
+  }
+  const envNames = [...new Set(Object.values(loaded.sources).map((entry) => entry.env).filter(Boolean))]
+  for (const name of envNames) console.log(`  ${"env".padEnd(9)} ${name}`)
+
+  console.log("")
+  for (const leaf of getConfigLeaves(maskSecrets(loaded.config))) {
+    const source = loaded.sources[leaf.path] || { source: "default" }
+    const origin = source.source === "default" ? "default" : `${source.source}: ${source.path || source.env}`
+    console.log(`${leaf.path} = ${JSON.stringify(leaf.value)}  [${origin}]`)
+  }
+  return 0
+}
+
+async function schema() {
+  console.log(JSON.stringify(CONFIG_SCHEMA, null, 2))
+  return 0
+}
+
+async function status() {
+  const { stateData, statePath } = await openState()
+  const now = Date.now()
+
+  const sessions = Object.entries(stateData.sessions)
+    .map(([sessionId, record]) => ({ sessionId, ...record, tier: getRecordTier(record) }))
+    .filter((record) => record.tier > 0)
+  const breakers = Object.entries(stateData.breakers).filter(([, breaker]) => breaker?.state === "open")
+
+  if (options.json) {
+    const { usage, quota, routing } = stateData
+    console.log(JSON.stringify({ statePath, sessions, breakers: stateData.breakers, usage, quota, routing }, null, 2))
+    return 0
+  }
+
+  console.log(`State: ${statePath}`)
+  console.log("")
+  console.log(sessions.length ? "Sessions on fallback:" : "No sessions on fallback.")
+  for (const record of sessions) {
+    const flags = [record.pinned && "pinned", record.restoreRequestedAt && "restore requested"].filter(Boolean)
+    console.log(
+      `  ${record.sessionId}  tier ${record.tier}  ${record.fallbackModel || "?"}` +
+        `  since ${formatAge(now - Number(record.lastFallbackAt || record.exhaustedAt || now))}` +
+        (flags.length ? `  (${flags.join(", ")})` : "")
+    )
+  }
+
+  if (breakers.length) {
+    console.log("")
+    console.log("Open breakers:")
+    for (const [providerId, breaker] of breakers) {
+      console.log(`  ${providerId}  opened ${formatAge(now - Number(breaker.openedAt))} ago`)
+    }
+  }
+
+  const usage = Object.entries(stateData.usage)
+  if (usage.length) {
+    console.log("")
+    console.log("Usage:")
+    for (const [providerId, entry] of usage) {
+      const cost = Number(entry?.cost || 0).toFixed(2)
+      console.log(`  ${providerId}  $${cost}  ${Number(entry?.tokens || 0)} tokens`)
+    }
+  }
+
+  const routed = Object.entries(stateData.routing).filter(([, entry]) => entry?.window)
+  if (routed.length) {
+    console.log("")
+    console.log("Sessions in routing windows:")
+    for (const [sessionId, entry] of routed) {
+      console.log(`  ${sessionId}  ${entry.window}  ${entry.originalModel} -> ${entry.model}`)
+    }
+  }
+
+  const quota = Object.entries(stateData.quota)
+  if (quota.length) {
+    console.log("")
+    console.log("Polled quota:")
+    for (const [providerId, entry] of quota) {
+      const limit = entry?.limit !== null && entry?.limit !== undefined ? ` of ${entry.limit}` : ""
+      console.log(`  ${providerId}  ${entry?.remaining}${limit} left  ${formatAge(now - Number(entry?.checkedAt))} ago`)
+    }
+  }
+
+  return 0
+}
+
+async function restore() {
+  const sessionId = positional[0]
+  if (!sessionId) {
+    console.error("Usage: opencode-credit-switcher restore <session>")
+    return 1
+  }
+
+  const { stateData, statePath } = await openState()
+  const record = stateData.sessions[sessionId]
+  if (!record || getRecordTier(record) === 0) {
+    console.error(`Session ${sessionId} is not on a fallback model.`)
+    return 1
+  }
+
+  const { config } = await loadConfig(getConfigLayers(directory, worktree), client)
+  if (!config.enabled || !config.restore?.enabled) {
+    console.error("Restores are turned off (enabled or restore.enabled is false); OpenCode would not act on it.")
+    return 1
+  }
+
+  // A running plugin sees the request through its state file watcher; one that is not
+  // running acts on it in the restore check at startup.
+  record.restoreRequestedAt = Date.now()
+  delete record.pinned
+  delete record.pinnedAt
+  await saveState(statePath, stateData, client)
+  console.log(
+    `Restore requested for ${sessionId}. A running OpenCode switches it back within seconds; otherwise it applies when OpenCode starts.`
+  )
+  return 0
+}
+
+async function prune() {
+  const loaded = await loadConfig(getConfigLayers(directory, worktree), client)
+  const limits = { ...normalizeConfig({}).state, ...(loaded.config.state || {}) }
+
+  if (options["older-than"] !== undefined) {
+    limits.olderThanDays = Number(options["older-than"])
+    if (!Number.isFinite(limits.olderThanDays) || limits.olderThanDays < 0) {
+      console.error("--older-than expects a number of days.")
+      return 1
+    }
+  }
+
+  const { stateData, statePath } = await openState()
+  const removed = pruneState(stateData, limits)
+  await saveState(statePath, stateData, client)
+  console.log(`Removed ${removed.length} session record${removed.length === 1 ? "" : "s"}.`)
+  return 0
+}
+
+async function reset() {
+  const { stateData, statePath } = await openState()
+  const sessionId = positional[0]
+
+  if (sessionId) {
+    if (!stateData.sessions[sessionId] && !stateData.routing[sessionId]) {
+      console.error(`No record for session ${sessionId}.`)
+      return 1
+    }
+    delete stateData.sessions[sessionId]
+    delete stateData.routing[sessionId]
+    await saveState(statePath, stateData, client)
+    console.log(`Forgot session ${sessionId}.`)
+    return 0
+  }
+
+  await saveState(statePath, createEmptyState(), client)
+  console.log(`Cleared ${statePath}`)
+  return 0
+}
+
+async function report() {
+  const format = options.format || "markdown"
+  if (!["markdown", "csv"].includes(format)) {
+    console.error("--format expects markdown or csv.")
+    return 1
+  }
+
+  const since = options.since ? Date.parse(options.since) : 0
+  const until = options.until ? Date.parse(options.until) : Date.now()
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    console.error("--since and --until expect a date such as 2026-01-31.")
+    return 1
+  }
+
+  const { statePath } = await openState()
+  const historyPath = getHistoryPath(statePath)
+  const summary = summarizeHistory(await readHistory(historyPath), { since, until })
+  console.log(format === "csv" ? renderHistoryCsv(summary) : renderHistoryMarkdown(summary))
+  return 0
+}
+
+// Mirrors the plugin's config search so both read the same files.
+async function findConfig() {
+  for (const candidate of getConfigPaths(directory, worktree)) {
+    if (candidate && (await fileExists(candidate))) return candidate
+  }
+  return null
+}
+
+async function openState() {
+  const configPath = await findConfig()
+  const statePath = getStatePath(configPath, directory, worktree)
+  return { statePath, stateData: await loadState(statePath, client) }
+}
+
+// API keys stay out of terminal output and pasted reports.
+function maskSecrets(value) {
+  if (Array.isArray(value)) return value.map(maskSecrets)
+  if (!value || typeof value !== "object") return value
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [key, /apikey|token|secret/i.test(key) && typeof entry === "string" ? "***" : maskSecrets(entry)])
+  )
+}
+
+function parseArgs(args) {
+  const positional = []
+  const options = {}
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index]
+    if (arg === "-h") {
+      options.help = true
+    } else if (arg.startsWith("--")) {
+      const name = arg.slice(2)
+      if (FLAGS.has(name)) {
+        options[name] = true
+      } else {
+        options[name] = args[index + 1]
+        index += 1
+      }
+    } else {
+      positional.push(arg)
+    }
+  }
+
+  return { command: positional.shift(), positional, options }
+}
+
+function getGitRoot(cwd) {
+  const result = spawnSync("git", ["rev-parse", "--show-toplevel"], { cwd, encoding: "utf8" })
+  return result.status === 0 ? result.stdout.trim() : null
+}
+
+function formatAge(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000))
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.round(minutes / 60)
+  if (hours < 48) return `${hours}h`
+  return `${Math.round(hours / 24)}d`
+}
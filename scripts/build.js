@@ -1,5 +1,6 @@
 import fs from "node:fs/promises"
 import path from "node:path"
+import { CONFIG_SCHEMA } from "../.opencode/plugins/credit-switcher/schema.js"
 
 const root = process.cwd()
 const distDir = path.join(root, "dist")
@@ -13,6 +14,10 @@ const files = [
     src: path.join(root, ".opencode", "plugins", "credit-switcher.js"),
     dest: path.join(distDir, ".opencode", "plugins", "credit-switcher.js"),
   },
+  {
+    src: path.join(root, "bin", "opencode-credit-switcher.js"),
+    dest: path.join(distDir, "bin", "opencode-credit-switcher.js"),
+  },
 ]
 
 await fs.rm(distDir, { recursive: true, force: true })
@@ -22,3 +27,18 @@ for (const file of files) {
   await fs.mkdir(path.dirname(file.dest), { recursive: true })
   await fs.copyFile(file.src, file.dest)
 }
+
+// Helper modules the plugin and CLI import.
+await fs.cp(
+  path.join(root, ".opencode", "plugins", "credit-switcher"),
+  path.join(distDir, ".opencode", "plugins", "credit-switcher"),
+  { recursive: true }
+)
+
+await fs.chmod(path.join(distDir, "bin", "opencode-credit-switcher.js"), 0o755)
+
+// Published so configs can point "$schema" at it.
+await fs.writeFile(
+  path.join(distDir, "credit-switcher.schema.json"),
+  `${JSON.stringify(CONFIG_SCHEMA, null, 2)}\n`
+)
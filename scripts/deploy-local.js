@@ -9,14 +9,17 @@ if (!home) {
 const root = process.cwd()
 const distDir = path.join(root, "dist")
 const pluginSource = path.join(distDir, ".opencode", "plugins", "credit-switcher.js")
+const helperSource = path.join(distDir, ".opencode", "plugins", "credit-switcher")
 const configSource = path.join(root, ".opencode", "credit-switcher.json")
 
 const targetDir = path.join(home, ".config", "opencode")
 const pluginTarget = path.join(targetDir, "plugins", "credit-switcher.js")
+const helperTarget = path.join(targetDir, "plugins", "credit-switcher")
 const configTarget = path.join(targetDir, "credit-switcher.json")
 
 await fs.mkdir(path.dirname(pluginTarget), { recursive: true })
 await fs.copyFile(pluginSource, pluginTarget)
+await fs.cp(helperSource, helperTarget, { recursive: true })
 
 try {
   await fs.access(configTarget)
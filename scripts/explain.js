@@ -0,0 +1,142 @@
+import fs from "node:fs/promises"
+import path from "node:path"
+
+// Replays recorded session.error events against a config in dry-run mode and
+// prints what the plugin would have decided for each one.
+//
+// Usage: bun ./scripts/explain.js <events.jsonl> [--config <path>] [--model <provider/model>]
+//          [--providers <id,id>] [--format markdown|json]
+
+const args = process.argv.slice(2)
+const options = { format: "markdown" }
+const positional = []
+
+for (let index = 0; index < args.length; index += 1) {
+  const arg = args[index]
+  if (arg.startsWith("--")) {
+    options[arg.slice(2)] = args[index + 1]
+    index += 1
+  } else {
+    positional.push(arg)
+  }
+}
+
+const eventsPath = positional[0]
+if (!eventsPath) {
+  throw new Error("Usage: explain.js <events.jsonl> [--config path] [--model provider/model]")
+}
+
+const configPath = path.resolve(options.config || path.join(".opencode", "credit-switcher.json"))
+const rawConfig = JSON.parse(await fs.readFile(configPath, "utf8"))
+const providers = options.providers
+  ? options.providers.split(",").map((value) => value.trim())
+  : rawConfig.licensing?.requireProviders || []
+
+const events = parseEvents(await fs.readFile(eventsPath, "utf8"))
+
+process.env.OPENCODE_CREDIT_SWITCHER_CONFIG = configPath
+process.env.OPENCODE_CREDIT_SWITCHER_DRY_RUN = "1"
+
+const decisions = []
+const client = createOfflineClient({ model: options.model, providers, decisions })
+
+const { CreditSwitcher } = await import("../.opencode/plugins/credit-switcher.js")
+const hooks = await CreditSwitcher({ client, directory: process.cwd(), worktree: process.cwd() })
+
+for (const event of events) {
+  const before = decisions.length
+  await hooks.event({ event })
+  if (decisions.length === before) {
+    const guard = event?.type === "session.error" ? "disabled" : "not-session-error"
+    decisions.push({ outcome: "ignored", guard })
+  }
+}
+
+if (options.format === "json") {
+  console.log(JSON.stringify(decisions, null, 2))
+} else {
+  console.log(renderMarkdown(decisions, { configPath, eventsPath }))
+}
+
+function parseEvents(text) {
+  const trimmed = text.trim()
+  const entries = trimmed.startsWith("[")
+    ? JSON.parse(trimmed)
+    : trimmed
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line))
+
+  // Bare error payloads are treated as the properties of a session.error event.
+  return entries.map((entry) => (entry?.type ? entry : { type: "session.error", properties: entry }))
+}
+
+// Offline stand-in for the OpenCode client: answers reads from the CLI options
+// and captures the plugin's decision logs.
+function createOfflineClient({ model, providers, decisions }) {
+  return {
+    app: {
+      log: async ({ body }) => {
+        if (body?.message === "Fallback decision") decisions.push(body.extra)
+      },
+    },
+    config: {
+      providers: async () => ({ data: { providers: providers.map((id) => ({ id })) } }),
+      get: async () => ({ data: {} }),
+    },
+    session: {
+      get: async () => ({ data: model ? { model } : {} }),
+      messages: async () => ({
+        data: [{ info: { role: "user" }, parts: [{ type: "text", text: "(recorded prompt)" }] }],
+      }),
+    },
+    tui: {},
+  }
+}
+
+function renderMarkdown(rows, { configPath, eventsPath }) {
+  const columns = ["#", "session", "status", "code", "message", "kind", "rule", "outcome", "detail"]
+  const lines = [
+    "# Credit switcher decisions",
+    "",
+    `- Events: \`${eventsPath}\``,
+    `- Config: \`${configPath}\``,
+    "",
+    `| ${columns.join(" | ")} |`,
+    `| ${columns.map(() => "---").join(" | ")} |`,
+  ]
+
+  rows.forEach((row, index) => {
+    const retry = row.delayMs !== undefined && row.delayMs !== null ? `retry in ${row.delayMs}ms` : ""
+    const detail = row.guard || row.fallback || retry
+    const cells = [
+      index + 1,
+      row.sessionId,
+      row.status,
+      row.code,
+      truncate(row.message, 60),
+      row.kind,
+      row.rule,
+      row.outcome,
+      detail,
+    ]
+    lines.push(`| ${cells.map((cell) => escapeCell(cell)).join(" | ")} |`)
+  })
+
+  const counts = {}
+  for (const row of rows) counts[row.outcome] = (counts[row.outcome] || 0) + 1
+  lines.push("", "## Outcomes", "")
+  for (const [outcome, count] of Object.entries(counts)) lines.push(`- ${outcome}: ${count}`)
+
+  return lines.join("\n")
+}
+
+function truncate(value, length) {
+  if (typeof value !== "string") return value
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return ""
+  return String(value).replace(/\|/g, "\\|").replace(/\n/g, " ")
+}
@@ -0,0 +1,192 @@
+import assert from "node:assert/strict"
+import { afterEach, describe, test } from "node:test"
+import {
+  BASE_CONFIG,
+  FALLBACK,
+  PRIMARY,
+  createFakeClient,
+  createWorkspace,
+  emit,
+  loadFixture,
+  startPlugin,
+  userMessage,
+  waitFor,
+} from "./harness.js"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+describe("fallback", () => {
+  let workspace
+
+  afterEach(async () => {
+    await workspace?.cleanup()
+  })
+
+  test("replays the turn on the fallback model when credits run out", async () => {
+    workspace = await createWorkspace()
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    const [prompt] = client.callsTo("session.prompt")
+    assert.deepEqual(prompt.args.body.model, FALLBACK)
+    assert.equal(prompt.args.body.parts[0].text, "Hello")
+    assert.deepEqual(client.sessions.get("ses_fixture").model, FALLBACK)
+
+    const record = (await workspace.readState()).sessions.ses_fixture
+    assert.equal(record.tier, 1)
+    assert.equal(record.originalModel, "azure-openai/gpt-5")
+    assert.equal(record.fallbackModel, "github-copilot/gpt-4.1")
+
+    assert.match(client.toasts().at(-1).message, /Switched to github-copilot\/gpt-4\.1/)
+    const types = (await workspace.readHistory()).map((entry) => entry.type)
+    assert.deepEqual(types, ["exhausted", "fallback"])
+  })
+
+  test("treats a 429 with insufficient_quota as exhaustion, not a rate limit", async () => {
+    workspace = await createWorkspace()
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-insufficient-quota"))
+
+    assert.deepEqual(client.callsTo("session.prompt")[0].args.body.model, FALLBACK)
+    assert.equal((await workspace.readState()).breakers["azure-openai"].state, "open")
+  })
+
+  test("retries rate limits on the same model after Retry-After", async () => {
+    workspace = await createWorkspace()
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-rate-limit"))
+    assert.equal(client.callsTo("session.prompt").length, 0)
+
+    const [prompt] = await waitFor(() => client.callsTo("session.prompt").length && client.callsTo("session.prompt"))
+    assert.deepEqual(prompt.args.body.model, PRIMARY)
+    assert.equal((await workspace.readState()).sessions.ses_fixture, undefined)
+  })
+
+  test("closes a half-open breaker only on the trial session's reply", async () => {
+    workspace = await createWorkspace({
+      state: {
+        version: 3,
+        sessions: {},
+        breakers: { "github-copilot": { state: "open", openedAt: Date.now() - 2 * DAY_MS, trippedBy: "ses_other" } },
+      },
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("message-updated-assistant", { sessionID: "ses_other" }))
+    assert.equal((await workspace.readState()).breakers["github-copilot"].state, "open")
+
+    const output = { message: { model: { ...FALLBACK } } }
+    await hooks["chat.message"]({ sessionID: "ses_fixture", model: FALLBACK }, output)
+    assert.deepEqual(output.message.model, FALLBACK)
+    await emit(hooks, await loadFixture("message-updated-assistant"))
+    assert.equal((await workspace.readState()).breakers["github-copilot"].state, "closed")
+  })
+
+  test("summarizes a session the fallback cannot hold with the model it came from", async () => {
+    workspace = await createWorkspace({
+      config: {
+        ...BASE_CONFIG,
+        breaker: { enabled: false },
+        context: { enabled: true, strategy: "summarize", limits: { "github-copilot/*": 2 }, reserveTokens: 0 },
+      },
+    })
+    const message = userMessage("msg_user", "Hello there")
+    message.info.model = PRIMARY
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY, messages: [message] } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    const [summarize] = client.callsTo("session.summarize")
+    assert.deepEqual(summarize.args.body, PRIMARY)
+    assert.deepEqual(client.callsTo("session.prompt")[0].args.body.model, FALLBACK)
+  })
+
+  test("falls back on rate limits when throttling is off", async () => {
+    workspace = await createWorkspace({ config: { ...BASE_CONFIG, throttle: { enabled: false } } })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-rate-limit"))
+
+    assert.deepEqual(client.callsTo("session.prompt")[0].args.body.model, FALLBACK)
+    assert.match((await workspace.readState()).sessions.ses_fixture.detectedBy, /^throttle\./)
+  })
+
+  test("ignores errors that no rule matches", async () => {
+    workspace = await createWorkspace()
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-context-length"))
+
+    assert.equal(client.callsTo("session.prompt").length, 0)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+  })
+
+  test("falls back only once per tier for the same session", async () => {
+    workspace = await createWorkspace()
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    const event = await loadFixture("session-error-payment-required")
+    await emit(hooks, event)
+    client.sessions.get("ses_fixture").model = { ...PRIMARY }
+    await emit(hooks, event)
+
+    assert.equal(client.callsTo("session.prompt").length, 1)
+  })
+
+  test("stays on the primary model when the user declines", async () => {
+    workspace = await createWorkspace({
+      config: { ...BASE_CONFIG, notifications: { confirmOnFallback: true } },
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } }, confirm: () => false })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    assert.equal(client.callsTo("tui.showConfirm").length, 1)
+    assert.equal(client.callsTo("session.prompt").length, 0)
+    assert.deepEqual(
+      (await workspace.readHistory()).map((entry) => entry.type),
+      ["exhausted", "declined"]
+    )
+  })
+
+  test("counts completed assistant messages toward the provider's budget", async () => {
+    workspace = await createWorkspace({
+      config: { ...BASE_CONFIG, budgets: { enabled: true, providers: { "github-copilot": { limitTokens: 10000 } } } },
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    const event = await loadFixture("message-updated-assistant")
+    await emit(hooks, event)
+    await emit(hooks, event)
+
+    const usage = (await workspace.readState()).usage["github-copilot"]
+    assert.equal(usage.tokens, 1500)
+    assert.equal(usage.cost, 0.0123)
+  })
+
+  test("dry runs decide without prompting or writing state", async () => {
+    workspace = await createWorkspace({ config: { ...BASE_CONFIG, dryRun: true } })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    assert.equal(client.callsTo("session.prompt").length, 0)
+    const decision = client.logs("info").find((entry) => entry.message === "Fallback decision")
+    assert.equal(decision.extra.outcome, "would-fallback")
+    await assert.rejects(workspace.readState(), { code: "ENOENT" })
+  })
+})
@@ -0,0 +1,268 @@
+import fs from "node:fs/promises"
+import http from "node:http"
+import os from "node:os"
+import path from "node:path"
+import { fileURLToPath } from "node:url"
+import { CreditSwitcher } from "../index.js"
+
+// Runs the plugin against an in-memory OpenCode client and a throwaway directory,
+// so fallback and restore flows can be tested end to end without OpenCode.
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures")
+
+export const PRIMARY = { providerID: "azure-openai", modelID: "gpt-5" }
+export const FALLBACK = { providerID: "github-copilot", modelID: "gpt-4.1" }
+
+export const BASE_CONFIG = {
+  primaryModel: "azure-openai/gpt-5",
+  fallbackModel: "github-copilot/gpt-4.1",
+  licensing: { requireProviders: [] },
+  healthCheck: { enabled: false },
+  context: { enabled: false },
+}
+
+const DEFAULT_PROVIDERS = [
+  { id: "azure-openai", models: { "gpt-5": { limit: { context: 400000 } } } },
+  { id: "github-copilot", models: { "gpt-4.1": { limit: { context: 128000 } } } },
+  { id: "llama.cpp", models: { "qwen3-coder:a3b": { limit: { context: 32768 } } } },
+]
+
+// `sessions` maps ids to { model, messages }. Prompts append a user message and an
+// assistant reply and move the session to the prompted model, as OpenCode does.
+// `respond` can return an `error` for the reply instead, or a `status` to fail the
+// request the way the SDK does, with { error } and no reply.
+export function createFakeClient({ sessions = {}, providers = DEFAULT_PROVIDERS, confirm, respond } = {}) {
+  const calls = []
+  const store = new Map()
+  let nextId = 1
+
+  const addSession = (id, { model = PRIMARY, messages } = {}) => {
+    store.set(id, {
+      id,
+      model: model ? { ...model } : null,
+      messages: messages || [userMessage(`msg_${id}_user`, "Hello")],
+    })
+    return store.get(id)
+  }
+  for (const [id, session] of Object.entries(sessions)) addSession(id, session)
+
+  const getSession = (id) => {
+    const session = store.get(id)
+    if (!session) throw new Error(`Session ${id} not found`)
+    return session
+  }
+
+  const record = (method, args) => {
+    calls.push({ method, args })
+  }
+
+  const client = {
+    calls,
+    sessions: store,
+    addSession,
+    callsTo: (method) => calls.filter((call) => call.method === method),
+    toasts: () => calls.filter((call) => call.method === "tui.showToast").map((call) => call.args.body),
+    logs: (level) =>
+      calls
+        .filter((call) => call.method === "app.log" && (!level || call.args.body.level === level))
+        .map((call) => call.args.body),
+
+    session: {
+      get: async ({ path: { id } }) => {
+        const session = getSession(id)
+        return { data: { id, model: session.model } }
+      },
+      messages: async ({ path: { id } }) => ({ data: structuredClone(getSession(id).messages) }),
+      prompt: async (args) => {
+        record("session.prompt", args)
+        const session = getSession(args.path.id)
+        if (args.body.model) session.model = { ...args.body.model }
+        const reply = (await respond?.(args)) || {}
+        if (reply.status >= 400) {
+          const error = reply.error || { name: "UnknownError", data: { message: `HTTP ${reply.status}` } }
+          return { error, response: { status: reply.status } }
+        }
+        session.messages.push({ info: { id: `msg_${nextId++}`, role: "user" }, parts: args.body.parts })
+        const info = {
+          id: `msg_${nextId++}`,
+          role: "assistant",
+          providerID: session.model?.providerID,
+          modelID: session.model?.modelID,
+          ...(reply.error ? { error: reply.error } : {}),
+        }
+        session.messages.push({ info, parts: [{ type: "text", text: reply.text || "OK" }] })
+        return { data: { info, parts: [] } }
+      },
+      update: async (args) => {
+        record("session.update", args)
+        const session = getSession(args.path.id)
+        if (args.body.model) session.model = { ...args.body.model }
+        return { data: { id: session.id } }
+      },
+      create: async (args) => {
+        record("session.create", args)
+        const id = `ses_created_${nextId++}`
+        addSession(id, { model: null, messages: [] })
+        return { data: { id } }
+      },
+      delete: async (args) => {
+        record("session.delete", args)
+        store.delete(args.path.id)
+        return { data: true }
+      },
+      revert: async (args) => {
+        record("session.revert", args)
+        const session = getSession(args.path.id)
+        const index = session.messages.findIndex((entry) => entry.info.id === args.body.messageID)
+        if (index !== -1) session.messages.splice(index)
+        return { data: true }
+      },
+      summarize: async (args) => {
+        record("session.summarize", args)
+        return { data: true }
+      },
+    },
+
+    tui: {
+      showToast: async (args) => {
+        record("tui.showToast", args)
+        return { data: true }
+      },
+    },
+
+    app: {
+      log: async (args) => {
+        record("app.log", args)
+        return { data: true }
+      },
+    },
+
+    config: {
+      get: async () => ({ data: {} }),
+      providers: async () => ({ data: { providers: structuredClone(providers), default: {} } }),
+    },
+  }
+
+  // Without `confirm` the client has no confirm dialog, like older OpenCode versions.
+  if (confirm) {
+    client.tui.showConfirm = async (args) => {
+      record("tui.showConfirm", args)
+      return { data: confirm(args) }
+    }
+  }
+
+  return client
+}
+
+export function userMessage(id, text) {
+  return { info: { id, role: "user", agent: "build" }, parts: [{ id: `${id}_part`, type: "text", text }] }
+}
+
+// A project directory with the given config and, optionally, state. HOME points into
+// it so the developer's global config never leaks into a test.
+export async function createWorkspace({ config = BASE_CONFIG, state } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "credit-switcher-test-"))
+  const configPath = path.join(dir, ".opencode", "credit-switcher.json")
+  const statePath = path.join(dir, ".opencode", "credit-switcher.state.json")
+  const historyPath = path.join(dir, ".opencode", "credit-switcher.history.jsonl")
+
+  process.env.HOME = path.join(dir, "home")
+  for (const name of Object.keys(process.env)) {
+    if (name.startsWith("OPENCODE_CREDIT_SWITCHER")) delete process.env[name]
+  }
+
+  await fs.mkdir(path.dirname(configPath), { recursive: true })
+  if (config) await fs.writeFile(configPath, JSON.stringify(config, null, 2))
+  if (state) await fs.writeFile(statePath, JSON.stringify(state, null, 2))
+
+  return {
+    dir,
+    configPath,
+    statePath,
+    historyPath,
+    readState: async () => JSON.parse(await fs.readFile(statePath, "utf8")),
+    readHistory: async () => {
+      const text = await fs.readFile(historyPath, "utf8").catch(() => "")
+      return text.split("\n").filter(Boolean).map((line) => JSON.parse(line))
+    },
+    cleanup: () => removeWorkspace(dir),
+  }
+}
+
+// The startup restore check may still be writing state, and a late write recreates
+// the directory, so removal repeats until the directory stays gone.
+async function removeWorkspace(dir) {
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 5, retryDelay: 50 })
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    if (!(await fs.stat(dir).catch(() => null))) return
+  }
+}
+
+export async function startPlugin({ workspace, client }) {
+  return CreditSwitcher({ client, directory: workspace.dir, worktree: workspace.dir })
+}
+
+// Recorded OpenCode events from test/fixtures; `sessionID` retargets them.
+export async function loadFixture(name, { sessionID } = {}) {
+  const event = JSON.parse(await fs.readFile(path.join(FIXTURES, `${name}.json`), "utf8"))
+  if (sessionID) {
+    if (event.properties?.sessionID) event.properties.sessionID = sessionID
+    if (event.properties?.info?.sessionID) event.properties.info.sessionID = sessionID
+    if (event.type === "session.deleted") event.properties.info.id = sessionID
+  }
+  return event
+}
+
+export async function emit(hooks, event) {
+  await hooks.event({ event })
+}
+
+export async function waitFor(check, { timeoutMs = 3000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs
+  for (;;) {
+    const result = await check()
+    if (result) return result
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition")
+    await new Promise((resolve) => setTimeout(resolve, intervalMs))
+  }
+}
+
+// A local HTTP server for webhooks and provider endpoints. `routes` maps paths to
+// { status, body, delayMs } or to a function of the request returning one; unknown
+// paths get a 404. Every request is recorded with its parsed JSON body.
+export async function startMockServer(routes = {}) {
+  const requests = []
+  const server = http.createServer((request, response) => {
+    let text = ""
+    request.on("data", (chunk) => {
+      text += chunk
+    })
+    request.on("end", () => {
+      const entry = {
+        method: request.method,
+        path: request.url,
+        headers: request.headers,
+        body: text ? JSON.parse(text) : null,
+      }
+      requests.push(entry)
+      const route = routes[request.url.split("?")[0]]
+      const reply = (typeof route === "function" ? route(entry) : route) || { status: 404 }
+      setTimeout(() => {
+        response.writeHead(reply.status || 200, { "content-type": "application/json" })
+        response.end(JSON.stringify(reply.body ?? {}))
+      }, reply.delayMs || 0)
+    })
+  })
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+
+  return {
+    requests,
+    routes,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections()
+      return new Promise((resolve) => server.close(resolve))
+    },
+  }
+}
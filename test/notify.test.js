@@ -0,0 +1,102 @@
+import assert from "node:assert/strict"
+import fs from "node:fs/promises"
+import path from "node:path"
+import { afterEach, describe, test } from "node:test"
+import {
+  BASE_CONFIG,
+  FALLBACK,
+  PRIMARY,
+  createFakeClient,
+  createWorkspace,
+  emit,
+  loadFixture,
+  startMockServer,
+  startPlugin,
+  waitFor,
+} from "./harness.js"
+
+function withSinks(sinks) {
+  return { ...BASE_CONFIG, notifications: { sinks } }
+}
+
+describe("notification sinks", () => {
+  let workspace
+  let receiver
+
+  afterEach(async () => {
+    await receiver?.close()
+    receiver = null
+    delete process.env.TEST_NOTIFY_SECRET
+    delete process.env.TEST_NOTIFY_OUTPUT
+    await workspace?.cleanup()
+  })
+
+  test("posts the templated body to a webhook on fallback", async () => {
+    receiver = await startMockServer({ "/hook": { body: { ok: true } } })
+    process.env.TEST_NOTIFY_SECRET = "secret"
+    workspace = await createWorkspace({
+      config: withSinks([
+        {
+          type: "webhook",
+          url: `${receiver.url}/hook`,
+          headers: { Authorization: "Bearer {env:TEST_NOTIFY_SECRET}" },
+          body: { text: "{{sessionId}}: {{from}} -> {{to}}", tier: "{{tier}}", kind: "{{event}}" },
+        },
+      ]),
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    const [request] = await waitFor(() => receiver.requests.length && receiver.requests)
+    assert.equal(request.method, "POST")
+    assert.equal(request.headers.authorization, "Bearer secret")
+    assert.deepEqual(request.body, {
+      text: "ses_fixture: azure-openai/gpt-5 -> github-copilot/gpt-4.1",
+      tier: 1,
+      kind: "fallback",
+    })
+  })
+
+  test("runs a command with the event as environment variables", async () => {
+    workspace = await createWorkspace({
+      config: withSinks([
+        {
+          type: "command",
+          events: ["restore"],
+          command: `printf '%s %s %s' "$CREDIT_SWITCHER_EVENT" "$CREDIT_SWITCHER_SESSION_ID" "$CREDIT_SWITCHER_TO" > "$TEST_NOTIFY_OUTPUT"`,
+        },
+      ]),
+    })
+    const output = path.join(workspace.dir, "event.txt")
+    process.env.TEST_NOTIFY_OUTPUT = output
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+    const restore = await hooks.tool.credit_switcher_restore.execute({}, { sessionID: "ses_fixture" })
+    assert.match(restore, /Switched back/)
+
+    const text = await waitFor(() => fs.readFile(output, "utf8").catch(() => ""))
+    assert.equal(text, "restore ses_fixture azure-openai/gpt-5")
+  })
+
+  test("a slow webhook times out without holding up the retry", async () => {
+    receiver = await startMockServer({ "/hook": { delayMs: 2000 } })
+    workspace = await createWorkspace({
+      config: withSinks([{ type: "webhook", url: `${receiver.url}/hook`, timeoutSeconds: 0.2 }]),
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    const started = Date.now()
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+    assert.ok(Date.now() - started < 1000)
+    assert.deepEqual(client.callsTo("session.prompt")[0].args.body.model, FALLBACK)
+
+    const failure = await waitFor(() => client.logs("warn").find((entry) => entry.message === "Notification failed"))
+    assert.equal(failure.extra.type, "webhook")
+    assert.equal(receiver.requests[0].body.event, "fallback")
+  })
+})
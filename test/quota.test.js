@@ -0,0 +1,157 @@
+import assert from "node:assert/strict"
+import { afterEach, describe, test } from "node:test"
+import { readJsonPath } from "../.opencode/plugins/credit-switcher/quota.js"
+import {
+  BASE_CONFIG,
+  FALLBACK,
+  PRIMARY,
+  createFakeClient,
+  createWorkspace,
+  startMockServer,
+  startPlugin,
+  waitFor,
+} from "./harness.js"
+
+const HOUR_MS = 60 * 60 * 1000
+
+function withQuota(providers, extra = {}) {
+  return { ...BASE_CONFIG, quota: { enabled: true, providers }, ...extra }
+}
+
+function fallbackState(agoMs, extra = {}) {
+  const at = Date.now() - agoMs
+  return {
+    version: 3,
+    lastCheckAt: Date.now(),
+    ...extra,
+    sessions: {
+      ses_fixture: {
+        exhaustedAt: at,
+        lastFallbackAt: at,
+        originalModel: "azure-openai/gpt-5",
+        fallbackModel: "github-copilot/gpt-4.1",
+        tier: 1,
+        chain: ["azure-openai/gpt-5", "github-copilot/gpt-4.1"],
+      },
+    },
+  }
+}
+
+describe("quota polling", () => {
+  let workspace
+  let server
+
+  afterEach(async () => {
+    await server?.close()
+    server = null
+    delete process.env.TEST_QUOTA_KEY
+    await workspace?.cleanup()
+  })
+
+  test("routes new prompts away once the polled quota drops to minRemaining", async () => {
+    server = await startMockServer({ "/api/v1/key": { body: { data: { limit: 20, limit_remaining: 0.5 } } } })
+    workspace = await createWorkspace({
+      config: withQuota({
+        "azure-openai": {
+          adapter: "json",
+          url: `${server.url}/api/v1/key`,
+          apiKey: "{env:TEST_QUOTA_KEY}",
+          remainingPath: "data.limit_remaining",
+          limitPath: "data.limit",
+          minRemaining: 1,
+        },
+      }),
+    })
+    process.env.TEST_QUOTA_KEY = "sk-test"
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    const quota = await waitFor(async () => (await workspace.readState()).quota?.["azure-openai"])
+    assert.equal(quota.remaining, 0.5)
+    assert.equal(quota.limit, 20)
+    assert.equal(server.requests[0].headers.authorization, "Bearer sk-test")
+
+    const output = { message: { model: { ...PRIMARY } } }
+    await hooks["chat.message"]({ sessionID: "ses_fixture", model: PRIMARY }, output)
+    assert.deepEqual(output.message.model, FALLBACK)
+    assert.match(client.toasts().at(-1).message, /azure-openai has 0\.5 quota left/)
+  })
+
+  test("restores a session as soon as the provider reports quota again", async () => {
+    server = await startMockServer({
+      "/v1/dashboard/billing/subscription": { body: { hard_limit_usd: 100 } },
+      "/v1/dashboard/billing/usage": { body: { total_usage: 2500 } },
+    })
+    workspace = await createWorkspace({
+      config: withQuota({ "azure-openai": { adapter: "openai", url: `${server.url}/v1` } }),
+      state: fallbackState(HOUR_MS),
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    await startPlugin({ workspace, client })
+
+    await waitFor(async () => (await workspace.readState()).sessions.ses_fixture.tier === 0)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+    assert.equal((await workspace.readState()).quota["azure-openai"].remaining, 75)
+    const restore = (await workspace.readHistory()).find((entry) => entry.type === "restore")
+    assert.equal(restore.trigger, "quota")
+  })
+
+  test("restores past a tripped breaker once the provider reports quota again", async () => {
+    server = await startMockServer({ "/balance": { body: { balance: 12 } } })
+    workspace = await createWorkspace({
+      config: withQuota(
+        { "azure-openai": { adapter: "json", url: `${server.url}/balance`, remainingPath: "balance" } },
+        { breaker: { enabled: true } }
+      ),
+      state: fallbackState(HOUR_MS, {
+        breakers: { "azure-openai": { state: "open", openedAt: Date.now() - HOUR_MS, trippedBy: "ses_fixture" } },
+      }),
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await waitFor(async () => (await workspace.readState()).sessions.ses_fixture.tier === 0)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+    assert.equal((await workspace.readState()).breakers["azure-openai"].state, "half-open")
+
+    const output = { message: { model: { ...PRIMARY } } }
+    await hooks["chat.message"]({ sessionID: "ses_other", model: PRIMARY }, output)
+    assert.deepEqual(output.message.model, PRIMARY)
+  })
+
+  test("keeps the session on its fallback while the provider has no quota", async () => {
+    server = await startMockServer({ "/balance": { body: { balance: "0" } } })
+    workspace = await createWorkspace({
+      config: withQuota({ "azure-openai": { adapter: "json", url: `${server.url}/balance`, remainingPath: "balance" } }),
+      state: fallbackState(HOUR_MS),
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    await startPlugin({ workspace, client })
+
+    await waitFor(async () => (await workspace.readState()).quota?.["azure-openai"])
+    assert.equal(client.callsTo("session.update").length, 0)
+    assert.equal((await workspace.readState()).sessions.ses_fixture.tier, 1)
+  })
+
+  test("logs a failed poll and leaves routing alone", async () => {
+    server = await startMockServer()
+    workspace = await createWorkspace({
+      config: withQuota({ "azure-openai": { adapter: "json", url: `${server.url}/missing`, remainingPath: "x" } }),
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    const failure = await waitFor(() => client.logs("warn").find((entry) => entry.message === "Quota poll failed"))
+    assert.match(failure.extra.error, /HTTP 404/)
+
+    const output = { message: { model: { ...PRIMARY } } }
+    await hooks["chat.message"]({ sessionID: "ses_fixture", model: PRIMARY }, output)
+    assert.deepEqual(output.message.model, PRIMARY)
+  })
+
+  test("reads JSON paths with array indexes", () => {
+    const payload = { grants: [{ balance: 3 }, { balance: 4 }] }
+    assert.equal(readJsonPath(payload, "grants[1].balance"), 4)
+    assert.equal(readJsonPath(payload, "grants[2].balance"), undefined)
+  })
+})
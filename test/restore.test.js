@@ -0,0 +1,167 @@
+import assert from "node:assert/strict"
+import fs from "node:fs/promises"
+import { afterEach, describe, test } from "node:test"
+import {
+  BASE_CONFIG,
+  FALLBACK,
+  PRIMARY,
+  createFakeClient,
+  createWorkspace,
+  emit,
+  loadFixture,
+  startPlugin,
+  waitFor,
+} from "./harness.js"
+
+const HOUR_MS = 60 * 60 * 1000
+
+// A session that fell back `agoMs` ago, as the plugin records it.
+function fallbackState(agoMs, extra = {}) {
+  const at = Date.now() - agoMs
+  return {
+    version: 3,
+    lastCheckAt: 0,
+    breakers: {},
+    usage: {},
+    sessions: {
+      ses_fixture: {
+        exhaustedAt: at,
+        lastFallbackAt: at,
+        originalModel: "azure-openai/gpt-5",
+        fallbackModel: "github-copilot/gpt-4.1",
+        tier: 1,
+        chain: ["azure-openai/gpt-5", "github-copilot/gpt-4.1"],
+        ...extra,
+      },
+    },
+  }
+}
+
+describe("restore", () => {
+  let workspace
+
+  afterEach(async () => {
+    await workspace?.cleanup()
+  })
+
+  test("moves a session back to its original model once the interval has passed", async () => {
+    workspace = await createWorkspace({ state: fallbackState(25 * HOUR_MS) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    await startPlugin({ workspace, client })
+
+    await waitFor(async () => (await workspace.readState()).sessions.ses_fixture.tier === 0)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+
+    const restore = (await workspace.readHistory()).find((entry) => entry.type === "restore")
+    assert.equal(restore.ok, true)
+    assert.equal(restore.trigger, "interval")
+    assert.match(client.toasts().at(-1).message, /Switched back to primary model/)
+  })
+
+  test("leaves a session on the fallback before the interval", async () => {
+    workspace = await createWorkspace({ state: fallbackState(HOUR_MS) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    await startPlugin({ workspace, client })
+
+    await waitFor(async () => (await workspace.readState()).lastCheckAt > 0)
+    assert.equal(client.callsTo("session.update").length, 0)
+    assert.equal((await workspace.readState()).sessions.ses_fixture.tier, 1)
+  })
+
+  test("a second instance on the same state file does not repeat a claimed check", async () => {
+    workspace = await createWorkspace({ state: fallbackState(HOUR_MS) })
+    const first = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    await startPlugin({ workspace, client: first })
+    const claimedAt = await waitFor(async () => (await workspace.readState()).lastCheckAt)
+
+    const second = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    await startPlugin({ workspace, client: second })
+    await new Promise((resolve) => setTimeout(resolve, 300))
+
+    assert.equal((await workspace.readState()).lastCheckAt, claimedAt)
+    assert.equal((await workspace.readState()).sessions.ses_fixture.tier, 1)
+  })
+
+  test("restores at once when a restore was requested from the CLI", async () => {
+    workspace = await createWorkspace({ state: fallbackState(HOUR_MS, { restoreRequestedAt: Date.now() }) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    await startPlugin({ workspace, client })
+
+    await waitFor(async () => (await workspace.readState()).sessions.ses_fixture.tier === 0)
+    const restore = (await workspace.readHistory()).find((entry) => entry.type === "restore")
+    assert.equal(restore.trigger, "requested")
+  })
+
+  test("restores a running session as soon as the CLI requests it", async () => {
+    workspace = await createWorkspace({ state: fallbackState(HOUR_MS) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    await startPlugin({ workspace, client })
+    await waitFor(async () => (await workspace.readState()).lastCheckAt > 0)
+
+    const data = await workspace.readState()
+    data.sessions.ses_fixture.restoreRequestedAt = Date.now()
+    await fs.writeFile(workspace.statePath, JSON.stringify(data, null, 2))
+
+    await waitFor(async () => (await workspace.readState()).sessions.ses_fixture.tier === 0)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+    const restore = (await workspace.readHistory()).find((entry) => entry.type === "restore")
+    assert.equal(restore.trigger, "requested")
+  })
+
+  test("tries a requested restore once when switching the model fails", async () => {
+    workspace = await createWorkspace({ state: fallbackState(HOUR_MS) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    let updates = 0
+    client.session.update = async () => {
+      updates += 1
+      throw new Error("Session is busy")
+    }
+    await startPlugin({ workspace, client })
+    await waitFor(async () => (await workspace.readState()).lastCheckAt > 0)
+
+    const data = await workspace.readState()
+    data.sessions.ses_fixture.restoreRequestedAt = Date.now()
+    await fs.writeFile(workspace.statePath, JSON.stringify(data, null, 2))
+
+    await waitFor(() => updates > 0)
+    await new Promise((resolve) => setTimeout(resolve, 1500))
+    assert.equal(updates, 1)
+    const restores = (await workspace.readHistory()).filter((entry) => entry.type === "restore")
+    assert.deepEqual(restores.map((entry) => entry.ok), [false])
+    assert.equal((await workspace.readState()).sessions.ses_fixture.restoreRequestedAt, undefined)
+  })
+
+  test("restores when the provider resets at the time the error reported", async () => {
+    workspace = await createWorkspace({
+      config: {
+        ...BASE_CONFIG,
+        restore: { enabled: true, resets: { "azure-openai": { fromError: true } } },
+      },
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    const event = await loadFixture("session-error-payment-required")
+    const body = JSON.parse(event.properties.error.data.responseBody)
+    body.error.reset_at = new Date(Date.now() + 500).toISOString()
+    event.properties.error.data.responseBody = JSON.stringify(body)
+    await emit(hooks, event)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, FALLBACK)
+
+    await waitFor(async () => (await workspace.readState()).sessions.ses_fixture.tier === 0)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+    const restore = (await workspace.readHistory()).find((entry) => entry.type === "restore")
+    assert.equal(restore.trigger, "reset")
+  })
+
+  test("forgets a session when OpenCode deletes it", async () => {
+    workspace = await createWorkspace({ state: fallbackState(HOUR_MS) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: FALLBACK } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-deleted"))
+
+    assert.equal((await workspace.readState()).sessions.ses_fixture, undefined)
+    assert.equal((await workspace.readHistory()).at(-1).type, "deleted")
+  })
+})
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict"
+import { afterEach, describe, test } from "node:test"
+import {
+  BASE_CONFIG,
+  FALLBACK,
+  PRIMARY,
+  createFakeClient,
+  createWorkspace,
+  emit,
+  loadFixture,
+  startPlugin,
+  waitFor,
+} from "./harness.js"
+
+function withRetry(retry) {
+  return { ...BASE_CONFIG, retry }
+}
+
+function decisions(client) {
+  return client.logs().filter((entry) => entry.message === "Fallback decision").map((entry) => entry.extra)
+}
+
+// Falls back once, then restores with the in-session tool, as a user would.
+async function fallBackAndRestore(hooks, client) {
+  await emit(hooks, await loadFixture("session-error-payment-required"))
+  const restored = await hooks.tool.credit_switcher_restore.execute({}, { sessionID: "ses_fixture" })
+  assert.match(restored, /Switched back/)
+  assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+}
+
+describe("retry policy", () => {
+  let workspace
+
+  afterEach(async () => {
+    await workspace?.cleanup()
+  })
+
+  test("falls back again after a restore once the cooldown has passed", async () => {
+    workspace = await createWorkspace({ config: withRetry({ cooldownSeconds: 0 }) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await fallBackAndRestore(hooks, client)
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    assert.equal(client.callsTo("session.prompt").length, 2)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, FALLBACK)
+    const { retry } = (await workspace.readState()).sessions.ses_fixture
+    assert.equal(retry.tier, 1)
+    assert.equal(retry.attempts.length, 2)
+  })
+
+  test("holds back a fallback right after a restore", async () => {
+    workspace = await createWorkspace({ config: withRetry({ cooldownSeconds: 60 }) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await fallBackAndRestore(hooks, client)
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    assert.equal(client.callsTo("session.prompt").length, 1)
+    assert.equal(decisions(client).at(-1).guard, "cooldown")
+  })
+
+  test("stops after maxAttempts fallbacks within the window", async () => {
+    workspace = await createWorkspace({ config: withRetry({ cooldownSeconds: 0, maxAttempts: 1 }) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await fallBackAndRestore(hooks, client)
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    assert.equal(client.callsTo("session.prompt").length, 1)
+    const decision = decisions(client).at(-1)
+    assert.equal(decision.guard, "max-attempts")
+    assert.equal(decision.attempts, 1)
+  })
+
+  test("keeps the tier guard across plugin restarts", async () => {
+    workspace = await createWorkspace()
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    await emit(await startPlugin({ workspace, client }), await loadFixture("session-error-payment-required"))
+
+    client.sessions.get("ses_fixture").model = { ...PRIMARY }
+    const restarted = await startPlugin({ workspace, client })
+    await emit(restarted, await loadFixture("session-error-payment-required"))
+
+    assert.equal(client.callsTo("session.prompt").length, 1)
+    assert.equal(decisions(client).at(-1).guard, "already-attempted")
+  })
+
+  test("retries a fallback prompt that fails to send, with backoff", async () => {
+    workspace = await createWorkspace({ config: withRetry({ baseDelaySeconds: 0.1, promptRetries: 3 }) })
+    let failures = 2
+    const client = createFakeClient({
+      sessions: { ses_fixture: { model: PRIMARY } },
+      respond: () => {
+        if (failures-- > 0) throw new Error("socket hang up")
+      },
+    })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+    assert.equal(client.callsTo("session.prompt").length, 1)
+
+    await waitFor(() => client.callsTo("session.prompt").length === 3)
+    const retries = client.logs("warn").filter((entry) => entry.message === "Fallback prompt failed; retrying")
+    assert.deepEqual(retries.map((entry) => entry.extra.delayMs), [100, 200])
+    assert.equal(client.logs("error").length, 0)
+  })
+
+  test("retries a fallback prompt that returns an error instead of throwing", async () => {
+    workspace = await createWorkspace({ config: withRetry({ baseDelaySeconds: 0.1, promptRetries: 3 }) })
+    const replies = [{ status: 503 }, { error: { name: "APIError", data: { message: "Overloaded" } } }]
+    const client = createFakeClient({
+      sessions: { ses_fixture: { model: PRIMARY } },
+      respond: () => replies.shift(),
+    })
+    const hooks = await startPlugin({ workspace, client })
+
+    await emit(hooks, await loadFixture("session-error-payment-required"))
+
+    await waitFor(() => client.callsTo("session.prompt").length === 3)
+    const retries = client.logs("warn").filter((entry) => entry.message === "Fallback prompt failed; retrying")
+    assert.deepEqual(
+      retries.map((entry) => entry.extra.error),
+      ["UnknownError: HTTP 503", "APIError: Overloaded"]
+    )
+    assert.deepEqual(client.sessions.get("ses_fixture").model, FALLBACK)
+  })
+})
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict"
+import { afterEach, describe, test } from "node:test"
+import { isWindowOpen } from "../.opencode/plugins/credit-switcher/schedule.js"
+import {
+  BASE_CONFIG,
+  PRIMARY,
+  createFakeClient,
+  createWorkspace,
+  startPlugin,
+  waitFor,
+} from "./harness.js"
+
+const LOCAL = { providerID: "llama.cpp", modelID: "qwen3-coder:a3b" }
+
+// Open all day, every day, so the tests do not depend on the clock.
+const ALWAYS = { name: "always", model: "llama.cpp/qwen3-coder:a3b" }
+
+function withWindows(windows) {
+  return { ...BASE_CONFIG, routing: { windows } }
+}
+
+async function prompt(hooks, sessionID, model) {
+  const output = { message: { model: { ...model } } }
+  await hooks["chat.message"]({ sessionID, model }, output)
+  return output.message.model
+}
+
+describe("routing windows", () => {
+  let workspace
+
+  afterEach(async () => {
+    await workspace?.cleanup()
+  })
+
+  test("moves a session to the window's model and records its own model", async () => {
+    workspace = await createWorkspace({ config: withWindows([ALWAYS]) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    assert.deepEqual(await prompt(hooks, "ses_fixture", PRIMARY), LOCAL)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, LOCAL)
+    const routed = (await workspace.readState()).routing.ses_fixture
+    assert.equal(routed.window, "always")
+    assert.equal(routed.originalModel, "azure-openai/gpt-5")
+
+    await waitFor(() => client.toasts().some((toast) => /Routing window "always" started/.test(toast.message)))
+  })
+
+  test("skips the window while its provider's breaker is open", async () => {
+    workspace = await createWorkspace({
+      config: { ...withWindows([ALWAYS]), breaker: { enabled: true } },
+      state: {
+        version: 3,
+        sessions: {},
+        breakers: { "llama.cpp": { state: "open", openedAt: Date.now(), trippedBy: "ses_other" } },
+      },
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    assert.deepEqual(await prompt(hooks, "ses_fixture", PRIMARY), PRIMARY)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+    assert.equal((await workspace.readState()).routing?.ses_fixture, undefined)
+  })
+
+  test("moves sessions back once their window has closed", async () => {
+    const hour = (new Date().getUTCHours() + 12) % 24
+    const closed = { ...ALWAYS, name: "later", start: `${hour}:00`, end: `${hour}:30`, timezone: "UTC" }
+    workspace = await createWorkspace({
+      config: withWindows([closed]),
+      state: {
+        version: 3,
+        sessions: {},
+        routing: {
+          ses_fixture: {
+            window: "later",
+            model: "llama.cpp/qwen3-coder:a3b",
+            originalModel: "azure-openai/gpt-5",
+            appliedAt: Date.now(),
+          },
+        },
+      },
+    })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: LOCAL } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    await waitFor(async () => !(await workspace.readState()).routing.ses_fixture)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+    assert.deepEqual(await prompt(hooks, "ses_fixture", PRIMARY), PRIMARY)
+  })
+
+  test("skips sessions whose model the window does not list", async () => {
+    workspace = await createWorkspace({ config: withWindows([{ ...ALWAYS, models: "github-copilot/*" }]) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+
+    assert.deepEqual(await prompt(hooks, "ses_fixture", PRIMARY), PRIMARY)
+    assert.equal(client.callsTo("session.update").length, 0)
+  })
+
+  test("the per-session override moves the session back and keeps windows off", async () => {
+    workspace = await createWorkspace({ config: withWindows([ALWAYS]) })
+    const client = createFakeClient({ sessions: { ses_fixture: { model: PRIMARY } } })
+    const hooks = await startPlugin({ workspace, client })
+    const toggle = () => hooks.tool.credit_switcher_window.execute({}, { sessionID: "ses_fixture" })
+
+    await prompt(hooks, "ses_fixture", PRIMARY)
+    assert.match(await toggle(), /off for this session\. Switched back to azure-openai\/gpt-5/)
+    assert.deepEqual(client.sessions.get("ses_fixture").model, PRIMARY)
+    assert.deepEqual(await prompt(hooks, "ses_fixture", PRIMARY), PRIMARY)
+
+    assert.match(await toggle(), /apply to this session again/)
+    assert.deepEqual(await prompt(hooks, "ses_fixture", PRIMARY), LOCAL)
+  })
+
+  test("overnight windows count toward the day they open on", () => {
+    const fridayNight = { start: "22:00", end: "07:00", days: ["fri"], timezone: "Europe/Berlin" }
+    assert.equal(isWindowOpen(fridayNight, Date.parse("2026-10-16T21:30:00Z")), true)
+    assert.equal(isWindowOpen(fridayNight, Date.parse("2026-10-17T03:00:00Z")), true)
+    assert.equal(isWindowOpen(fridayNight, Date.parse("2026-10-18T03:00:00Z")), false)
+    assert.equal(isWindowOpen(fridayNight, Date.parse("2026-10-16T19:00:00Z")), false)
+  })
+
+  test("lastDaysOfMonth follows the month's length", () => {
+    const monthEnd = { lastDaysOfMonth: 3, timezone: "UTC" }
+    assert.equal(isWindowOpen(monthEnd, Date.parse("2026-10-29T00:00:00Z")), true)
+    assert.equal(isWindowOpen(monthEnd, Date.parse("2026-10-28T23:59:00Z")), false)
+    assert.equal(isWindowOpen(monthEnd, Date.parse("2026-02-26T10:00:00Z")), true)
+  })
+})
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict"
+import fs from "node:fs/promises"
+import path from "node:path"
+import { afterEach, describe, test } from "node:test"
+import {
+  ensureConfigFile,
+  ensureStateFile,
+  getConfigLayers,
+  loadConfig,
+  loadState,
+  migrateState,
+  pruneState,
+  saveState,
+} from "../.opencode/plugins/credit-switcher/config.js"
+import {
+  appendText,
+  env,
+  fileExists,
+  readText,
+  removeFile,
+  renameFile,
+  writeText,
+} from "../.opencode/plugins/credit-switcher/runtime.js"
+import { createFakeClient, createWorkspace } from "./harness.js"
+
+describe("storage", () => {
+  let workspace
+
+  afterEach(async () => {
+    await workspace?.cleanup()
+  })
+
+  test("writes files into directories that do not exist yet", async () => {
+    workspace = await createWorkspace({ config: null })
+    const target = path.join(workspace.dir, "a", "b", "file.txt")
+
+    await writeText(target, "one")
+    assert.equal(await readText(target), "one")
+    assert.equal(await fileExists(target), true)
+    await assert.rejects(writeText(target, "two", { flag: "wx" }), { code: "EEXIST" })
+
+    const log = path.join(workspace.dir, "c", "log.txt")
+    await appendText(log, "a\n")
+    await appendText(log, "b\n")
+    await renameFile(log, target)
+    assert.equal(await readText(target), "a\nb\n")
+    await removeFile(target)
+    await removeFile(target)
+    assert.equal(await fileExists(target), false)
+  })
+
+  test("creates the default config and state file under a missing directory", async () => {
+    workspace = await createWorkspace({ config: null })
+    const client = createFakeClient()
+    const configPath = path.join(workspace.dir, "nested", ".opencode", "credit-switcher.json")
+    const statePath = path.join(path.dirname(configPath), "credit-switcher.state.json")
+
+    await ensureConfigFile([configPath], client)
+    await ensureStateFile(statePath, client)
+
+    assert.equal(JSON.parse(await fs.readFile(configPath, "utf8")).enabled, true)
+    assert.equal((await loadState(statePath, client)).version, 3)
+    assert.deepEqual(client.logs("error"), [])
+  })
+
+  test("reads env overrides and the env config file through the adapter", async () => {
+    workspace = await createWorkspace()
+    const override = path.join(workspace.dir, "override.json")
+    await fs.writeFile(override, JSON.stringify({ fallbackModel: "llama.cpp/qwen3-coder:a3b" }))
+    env.OPENCODE_CREDIT_SWITCHER_CONFIG = override
+    env.OPENCODE_CREDIT_SWITCHER__RESTORE__INTERVAL_HOURS = "6"
+
+    const loaded = await loadConfig(getConfigLayers(workspace.dir, workspace.dir), createFakeClient())
+
+    assert.equal(loaded.config.fallbackModel, "llama.cpp/qwen3-coder:a3b")
+    assert.equal(loaded.config.restore.intervalHours, 6)
+    assert.equal(loaded.path, override)
+  })
+
+  test("migrates older state files to the current version", () => {
+    const migrated = migrateState({ sessions: { ses_fixture: { exhaustedAt: 1 } } })
+    assert.equal(migrated.version, 3)
+    assert.equal(migrated.sessions.ses_fixture.tier, 1)
+    assert.deepEqual(
+      [migrated.breakers, migrated.usage, migrated.quota, migrated.routing],
+      [{}, {}, {}, {}]
+    )
+  })
+
+  test("drops every restored record for an explicit --older-than 0", () => {
+    const now = Date.now()
+    const stateData = {
+      sessions: {
+        restored: { tier: 0, restoredAt: now - 1000 },
+        pinned: { tier: 0, restoredAt: now - 1000, pinned: true },
+        onFallback: { tier: 1, exhaustedAt: now - 1000 },
+      },
+    }
+
+    assert.deepEqual(pruneState(structuredClone(stateData), { retentionDays: 0, expireDays: 0 }, now), [])
+    assert.deepEqual(pruneState(stateData, { olderThanDays: 0, expireDays: 30 }, now), ["restored"])
+  })
+
+  test("round-trips state through save and load", async () => {
+    workspace = await createWorkspace()
+    const client = createFakeClient()
+    const stateData = await loadState(workspace.statePath, client)
+    stateData.sessions.ses_fixture = { tier: 1, exhaustedAt: Date.now() }
+
+    await saveState(workspace.statePath, stateData, client)
+
+    const loaded = await loadState(workspace.statePath, client)
+    assert.equal(loaded.sessions.ses_fixture.tier, 1)
+    assert.equal(await fileExists(`${workspace.statePath}.lock`), false)
+  })
+})